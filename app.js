@@ -3,7 +3,8 @@
    - Leaflet map w/ animated aircraft markers + trails
    - Radar canvas scope mirrored from same replay clock
    - Time-coded mission events (engagements, kills, impacts, notes)
-   - Controls: play/pause/restart, speed slider, CRT/trails/labels toggles
+   - Controls: play/pause/restart, step, reverse, scrub bar, speed slider,
+     CRT/trails/labels toggles
    ============================================================ */
 
 (() => {
@@ -13,10 +14,22 @@
   // -------- UI elements
   const elClock = $("#clockLabel");
   const elTimeline = $("#timeline");
+  const elLogChips = $("#logChips");
+  const elLogAircraft = $("#logAircraft");
+  const elLogSearch = $("#logSearch");
+  const elLogCount = $("#logCount");
+  const elValidation = $("#validation");
 
   const elBtnPlay = $("#btnPlay");
   const elBtnPause = $("#btnPause");
   const elBtnRestart = $("#btnRestart");
+  const elBtnStepBack = $("#btnStepBack");
+  const elBtnStepFwd = $("#btnStepFwd");
+  const elBtnReverse = $("#btnReverse");
+
+  const elScrub = $("#scrub");
+  const elScrubTicks = $("#scrubTicks");
+  const elScrubEnd = $("#scrubEnd");
 
   const elSpeed = $("#speed");
   const elSpeedLabel = $("#speedLabel");
@@ -24,7 +37,8 @@
   const elCRT = $("#toggleCRT");
   const elTrails = $("#toggleTrails");
   const elLabels = $("#toggleLabels");
-  const elFollow = $("#toggleFollow");
+  const elCones = $("#toggleCones");
+  const elCameraMode = $("#cameraMode");
 
   const elActiveChip = $("#activeChip");
   const elLossesChip = $("#lossesChip");
@@ -38,696 +52,5301 @@
   const elMeterBlitz = $("#meterBlitz");
   const elStatLast = $("#statLast");
   const elStatSel = $("#statSel");
+  const elFdAlt = $("#fdAlt");
+  const elFdGs = $("#fdGs");
+  const elFdVs = $("#fdVs");
+  const elFdHdg = $("#fdHdg");
+
+  const elMissionTitle = $("#missionTitle");
+  const elSectorBadge = $("#sectorBadge");
+  const elBtnOpen = $("#btnOpen");
+  const elMissionFile = $("#missionFile");
+  const elMapPanel = $(".panelMap");
+  const elInterpMode = $("#interpMode");
+  const elRadarRange = $("#radarRange");
+  const elRadarUnits = $("#radarUnits");
+  const elRadarTip = $("#radarTip");
+
+  const elBtnEdit = $("#btnEdit");
+  const elEditor = $("#editor");
+  const elEdAircraft = $("#edAircraft");
+  const elEdTool = $("#edTool");
+  const elEdCallsign = $("#edCallsign");
+  const elEdSide = $("#edSide");
+  const elEdPoint = $("#edPoint");
+  const elEdPointLabel = $("#edPointLabel");
+  const elEdPointT = $("#edPointT");
+  const elEdPointAlt = $("#edPointAlt");
+  const elEdPointDelete = $("#edPointDelete");
+  const elEdEvType = $("#edEvType");
+  const elEdEvActor = $("#edEvActor");
+  const elEdEvTarget = $("#edEvTarget");
+  const elEdEvT = $("#edEvT");
+  const elEdEvText = $("#edEvText");
+  const elEdEvAdd = $("#edEvAdd");
+  const elEdSave = $("#edSave");
+  const elEdStatus = $("#edStatus");
+
+  const elBtnRender = $("#btnRender");
+  const elRenderModal = $("#renderModal");
+  const elRenderFormat = $("#renderFormat");
+  const elRenderSize = $("#renderSize");
+  const elRenderFps = $("#renderFps");
+  const elRenderCaption = $("#renderCaption");
+  const elBtnRenderGo = $("#btnRenderGo");
+  const elBtnRenderClose = $("#btnRenderClose");
+  const elRenderStatus = $("#renderStatus");
+
+  const elBtnCompare = $("#btnCompare");
+  const elCompareFile = $("#compareFile");
+  const elCompare = $("#compare");
+
+  const elEndMode = $("#endMode");
+  const elCampaignChip = $("#campaignChip");
+  const elTitleCard = $("#titleCard");
+  const elTitleKicker = $("#titleKicker");
+  const elTitleName = $("#titleName");
+  const elTitleMeta = $("#titleMeta");
+  const elTitleNote = $("#titleNote");
+  const elTitleTally = $("#titleTally");
+  const elSummaryModal = $("#summaryModal");
+  const elSummaryTitle = $("#summaryTitle");
+  const elSummaryTotals = $("#summaryTotals");
+  const elSummaryBody = $("#summaryBody");
+  const elBtnSummaryReplay = $("#btnSummaryReplay");
+  const elBtnSummaryClose = $("#btnSummaryClose");
+
+  const elLegend = $("#legend");
+  const elAudio = $("#toggleAudio");
+  const elAudioMix = $("#audioMix");
+  const elBtnDebrief = $("#btnDebrief");
+  const elDebriefModal = $("#debriefModal");
+  const elDebriefTitle = $("#debriefTitle");
+  const elDebriefMeta = $("#debriefMeta");
+  const elDebriefBody = $("#debriefBody");
+  const elDebriefKills = $("#debriefKills");
+  const elDebriefDensity = $("#debriefDensity");
+  const elDebriefMap = $("#debriefMap");
+  const elBtnDebriefHtml = $("#btnDebriefHtml");
+  const elBtnDebriefMd = $("#btnDebriefMd");
+  const elBtnDebriefClose = $("#btnDebriefClose");
+  const elBtnLink = $("#btnLink");
+  const elBtnHelp = $("#btnHelp");
+  const elHelpModal = $("#helpModal");
+  const elHelpBody = $("#helpBody");
+  const elBtnHelpClose = $("#btnHelpClose");
+  const elPaletteModal = $("#paletteModal");
+  const elPaletteInput = $("#paletteInput");
+  const elPaletteList = $("#paletteList");
+
+  const elExportFormat = $("#exportFormat");
+  const elExportRate = $("#exportRate");
+  const elBtnExport = $("#btnExport");
 
   // -------- Mission loading
   let MISSION = null;
 
+  let missionSource = null; // URL the current mission came from, or "file:<name>"
+
+  async function fetchMission(url){
+    const r = await fetch(url, { cache: "no-store" });
+    if (!r.ok) throw new Error(`${url} not found`);
+    return r.json();
+  }
+
+  // ?mission=<url> picks the file to load; otherwise ./mission.json with the
+  // built-in sample as a last resort.
   async function loadMission(){
+    const param = readLinkState().m || new URLSearchParams(location.search).get("mission");
+    if (param){
+      missionSource = param;
+      return fetchMission(param);
+    }
     try{
-      const r = await fetch("./mission.json", { cache: "no-store" });
-      if (!r.ok) throw new Error("mission.json not found");
-      MISSION = await r.json();
-      return MISSION;
+      missionSource = "./mission.json";
+      return await fetchMission(missionSource);
     }catch(err){
       console.warn("Mission load failed, using built-in sample. Run via local server for mission.json.", err);
-      MISSION = window.__MISSION_FALLBACK__;
-      if (!MISSION) throw err;
-      return MISSION;
+      missionSource = null;
+      if (!window.__MISSION_FALLBACK__) throw err;
+      return window.__MISSION_FALLBACK__;
     }
   }
 
-  // -------- Helpers: time formatting
-  function fmtClock(t){
-    const s = Math.max(0, Math.floor(t));
-    const mm = String(Math.floor(s / 60)).padStart(2,"0");
-    const ss = String(s % 60).padStart(2,"0");
-    return `T+${mm}:${ss}`;
+  async function loadMissionFile(file, siblings=[]){
+    let mission;
+    try{
+      mission = JSON.parse(await file.text());
+    }catch(err){
+      renderValidation([{ level: "error", path: "$", msg: `${file.name}: not valid JSON (${err.message})` }]);
+      return false;
+    }
+    // GeoJSON written by the exporter carries the mission along
+    if (mission?.type === "FeatureCollection") mission = missionFromGeoJSON(mission);
+    if (isCampaign(mission)) return openCampaign(mission, `file:${file.name}`, siblings);
+    return openMission(mission, `file:${file.name}`);
   }
 
-  // -------- Path interpolation
-  function interpPath(path, t){
-    if (!path || !path.length) return null;
-    if (t <= path[0].t) return { lat: path[0].lat, lng: path[0].lng, hdg: 0 };
-    if (t >= path[path.length-1].t) return { lat: path[path.length-1].lat, lng: path[path.length-1].lng, hdg: 0 };
+  // Picker / drop entry point: a mission JSON wins; otherwise every
+  // GPX/KML/CSV file is imported as aircraft of a new mission.
+  async function loadFiles(fileList){
+    const files = Array.from(fileList || []);
+    const jsons = files.filter(f => /\.(geo)?json$/i.test(f.name) || f.type === "application/json");
+    // with several picked, a campaign file among them plays the rest
+    if (jsons.length > 1){
+      for (const f of jsons){
+        let data = null;
+        try{ data = JSON.parse(await f.text()); }catch(err){ continue; }
+        if (isCampaign(data)) return openCampaign(data, `file:${f.name}`, files);
+      }
+    }
+    if (jsons.length) return loadMissionFile(jsons[0], files);
 
-    let i = 0;
-    while (i < path.length-1 && !(t >= path[i].t && t <= path[i+1].t)) i++;
-    const a = path[i], b = path[i+1];
-    const u = (t - a.t) / (b.t - a.t);
+    const tracks = [];
+    const events = [];
+    const problems = [];
+    let carried = {};
+    for (const file of files){
+      try{
+        const found = parseTrackFile(file.name, await file.text());
+        if (!found.tracks.length) problems.push({ level: "error", path: "$", msg: `${file.name}: no track points found` });
+        tracks.push(...found.tracks);
+        events.push(...found.events);
+        // settings and epoch written by our own exporter; the first file wins
+        if (!carried.mission && found.mission) carried = found;
+      }catch(err){
+        problems.push({ level: "error", path: "$", msg: `${file.name}: ${err.message}` });
+      }
+    }
+    if (problems.length || !tracks.length){
+      renderValidation(problems.length ? problems : [{ level: "error", path: "$", msg: "no mission or track files" }]);
+      return false;
+    }
+    return openMission(tracksToMission(tracks, events, carried), `file:${files.map(f => f.name).join(",")}`);
+  }
 
-    const lat = a.lat + (b.lat - a.lat) * u;
-    const lng = a.lng + (b.lng - a.lng) * u;
+  // -------- Track import (GPX / KML / CSV)
+  // Each parser returns raw tracks: { name, side, points: [{ time, lat, lng, alt }] }
+  // where `time` is epoch ms (absolute), seconds (relative) or null (untimed);
+  // tracksToMission() turns them into mission-relative aircraft paths.
+  // KML and CSV written by the exporter also carry events, the mission
+  // settings (see missionSettings()) and, for KML, the epoch times count from.
+  const IMPORT_SPEED_MS = 85; // assumed ground speed for untimed tracks (m/s)
 
-    // bearing from a->b (degrees, 0 = north)
-    const lat1 = a.lat * Math.PI/180;
-    const lat2 = b.lat * Math.PI/180;
-    const dLon = (b.lng - a.lng) * Math.PI/180;
-    const y = Math.sin(dLon) * Math.cos(lat2);
-    const x = Math.cos(lat1)*Math.sin(lat2) - Math.sin(lat1)*Math.cos(lat2)*Math.cos(dLon);
-    const brng = (Math.atan2(y, x) * 180/Math.PI + 360) % 360;
-    const hdg = brng;
-    return { lat, lng, hdg };
+  function parseTrackFile(name, text){
+    const ext = (name.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    const base = name.replace(/\.[^.]+$/, "");
+    if (ext === "gpx") return { tracks: parseGPX(text, base), events: [] };
+    if (ext === "kml") return parseKML(text, base);
+    if (ext === "csv" || ext === "txt") return parseCSV(text, base);
+    throw new Error("unsupported file type (expected .json, .gpx, .kml or .csv)");
   }
 
-  // -------- Leaflet map
-  let map;
-  let aircraftState = new Map(); // id -> { cfg, marker, label, trailLine, trailPts, dead, lastPos }
-  let selectedId = null;
+  function parseXml(text){
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error("not well-formed XML");
+    return doc;
+  }
 
-  function makePlaneIcon(side){
-    const wrap = document.createElement("div");
-    wrap.className = `planeIcon ${side === "RAF" ? "sideRAF" : "sideENEMY"}`;
-    const span = document.createElement("span");
-    span.className = "planeGlyph";
-    span.textContent = "✈";
-    wrap.appendChild(span);
-    return L.divIcon({
-      className: "",
-      html: wrap.outerHTML,
-      iconSize: [28,28],
-      iconAnchor: [14,14],
-    });
+  // direct child element text (ignores nested <name> of child nodes)
+  function childText(el, tag){
+    for (const c of el.children){
+      if (c.localName === tag) return c.textContent.trim();
+    }
+    return "";
   }
 
-  function makeLabelIcon(text){
-    const wrap = document.createElement("div");
-    wrap.className = "planeLabel";
-    wrap.textContent = text;
-    return L.divIcon({
-      className: "",
-      html: wrap.outerHTML,
-      iconSize: null
+  function parseTime(v){
+    if (v == null || v === "") return null;
+    const s = String(v).trim();
+    if (/^-?\d+(\.\d+)?$/.test(s)){
+      const n = Number(s);
+      if (n > 1e12) return { time: n, absolute: true };         // epoch ms
+      if (n > 1e9) return { time: n * 1000, absolute: true };   // epoch s
+      return { time: n, absolute: false };                      // seconds into the sortie
+    }
+    const ms = Date.parse(s);
+    return Number.isNaN(ms) ? null : { time: ms, absolute: true };
+  }
+
+  function numOrNull(v){
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function parseGPX(text, base){
+    const doc = parseXml(text);
+    const tracks = [];
+    const groups = [...doc.getElementsByTagName("trk"), ...doc.getElementsByTagName("rte")];
+    groups.forEach((g, i) => {
+      const pts = [...g.getElementsByTagName(g.localName === "trk" ? "trkpt" : "rtept")];
+      const points = pts.map(p => {
+        const tm = parseTime(childText(p, "time"));
+        return {
+          time: tm?.time ?? null,
+          absolute: !!tm?.absolute,
+          lat: numOrNull(p.getAttribute("lat")),
+          lng: numOrNull(p.getAttribute("lon")),
+          alt: numOrNull(childText(p, "ele"))
+        };
+      });
+      tracks.push({
+        name: childText(g, "name") || (groups.length > 1 ? `${base}-${i+1}` : base),
+        side: childText(g, "type"),
+        points
+      });
     });
+    return tracks.filter(tr => tr.points.length);
   }
 
-  function initMap(mission){
-    const c = mission.center || {lat: 51.505, lng: -0.09};
+  function parseKmlCoord(str, sep){
+    const [lng, lat, alt] = str.trim().split(sep).map(numOrNull);
+    return { lng, lat, alt: alt ?? null };
+  }
 
-    map = L.map("map", {
-      zoomControl: true,
-      preferCanvas: true
-    }).setView([c.lat, c.lng], 13);
+  // <ExtendedData> name/value pairs of a Document or Placemark
+  function kmlData(el){
+    const data = {};
+    const ext = [...el.children].find(c => c.localName === "ExtendedData");
+    for (const d of ext ? ext.getElementsByTagName("Data") : []) data[d.getAttribute("name")] = d.textContent.trim();
+    return data;
+  }
 
-    // OSM tiles
-    L.tileLayer("https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png", {
-      subdomains: "abcd",
-      maxZoom: 20
-    }).addTo(map);
-// Soft neon tint overlay
-    map.createPane("tint");
-    const tint = L.rectangle(map.getBounds(), {
-      pane: "tint",
-      interactive: false,
-      color: "rgba(255,0,184,.08)",
-      weight: 0,
-      fillOpacity: 0.12
-    }).addTo(map);
-    map.on("moveend", () => tint.setBounds(map.getBounds()));
+  function parseKML(text, base){
+    const doc = parseXml(text);
+    const tracks = [];
+    const events = [];
+    const docEl = doc.getElementsByTagName("Document")[0];
+    const docData = docEl ? kmlData(docEl) : {};
+    const marks = [...doc.getElementsByTagName("Placemark")];
+    marks.forEach((pm, i) => {
+      const name = childText(pm, "name") || (marks.length > 1 ? `${base}-${i+1}` : base);
+      // id/side (tracks) or the event's own fields, as written by exportKML()
+      const data = kmlData(pm);
 
-    // Aircraft markers
-    // Fit to all tracks so nothing drifts off-screen
-    const allBounds = L.latLngBounds([]);
-    for (const ac0 of mission.aircraft || []){
-      for (const pt of (ac0.path || [])) allBounds.extend([pt.lat, pt.lng]);
-    }
+      if (data.kind === "event"){
+        const span = [...pm.children].find(c => c.localName === "TimeSpan" || c.localName === "TimeStamp");
+        const tm = span && parseTime(childText(span, "begin") || childText(span, "when"));
+        const { kind, ...fields } = data;
+        const ev = { time: tm?.time ?? null, absolute: !!tm?.absolute, ...fields };
+        for (const k of ["lat", "lng", "alt"]) if (k in ev) ev[k] = numOrNull(ev[k]);
+        const text = childText(pm, "description");
+        if (text) ev.text = text;
+        events.push(ev);
+        return;
+      }
 
-    for (const ac of mission.aircraft || []){
-      const pos = interpPath(ac.path, 0) || {lat: c.lat, lng: c.lng, hdg: 0};
-      const marker = L.marker([pos.lat, pos.lng], {
-        icon: makePlaneIcon(ac.side),
-        keyboard: false
-      }).addTo(map);
+      // gx:Track: parallel <when> / <gx:coord> lists
+      const gxTrack = pm.getElementsByTagNameNS("*", "Track")[0];
+      if (gxTrack){
+        const whens = [...gxTrack.getElementsByTagNameNS("*", "when")];
+        const coords = [...gxTrack.getElementsByTagNameNS("*", "coord")];
+        const points = coords.map((c, j) => {
+          const tm = parseTime(whens[j]?.textContent);
+          return { time: tm?.time ?? null, absolute: !!tm?.absolute, ...parseKmlCoord(c.textContent, /\s+/) };
+        });
+        tracks.push({ name, id: data.id, side: data.side || "", points });
+        return;
+      }
 
-      marker.on("click", () => selectAircraft(ac.id));
+      // LineString: coordinates only, no timestamps
+      const line = pm.getElementsByTagName("LineString")[0];
+      const coordEl = line && line.getElementsByTagName("coordinates")[0];
+      if (coordEl){
+        const points = coordEl.textContent.trim().split(/\s+/).filter(Boolean)
+          .map(c => ({ time: null, absolute: false, ...parseKmlCoord(c, ",") }));
+        tracks.push({ name, id: data.id, side: data.side || "", points });
+      }
+    });
 
-      const label = L.marker([pos.lat, pos.lng], {
-        icon: makeLabelIcon(ac.callsign),
-        interactive: false,
-        keyboard: false
-      }).addTo(map);
+    let mission = null;
+    try{ mission = docData.mission ? JSON.parse(docData.mission) : null; }catch(err){ mission = null; }
+    const epoch = parseTime(docData.epoch);
+    return { tracks: tracks.filter(tr => tr.points.length), events, mission, epoch: epoch?.absolute ? epoch.time : null };
+  }
 
-      // Full route (flight-history style) + progress route (so-far)
-const routeAllPts = (ac.path || []).map(p => [p.lat, p.lng]);
-
-const routeAllLine = L.polyline(routeAllPts, {
-  color: ac.side === "RAF" ? "#28d7ff" : "#ff00b8",
-  weight: 2,
-  opacity: 0.18,
-  dashArray: "6 10",
-  lineCap: "round",
-  lineJoin: "round"
-}).addTo(map);
-
-const trailLine = L.polyline([], {
-  color: ac.side === "RAF" ? "#28d7ff" : "#ff00b8",
-  weight: 4,
-  opacity: 0.55,
-  lineCap: "round",
-  lineJoin: "round"
-}).addTo(map);
-
-      aircraftState.set(ac.id, {
-  cfg: ac,
-  marker,
-  label,
-  // Full (dashed) route + traveled route
-  routeAllLine,
-  routeAllPts,
-  trailLine,
-  trailPts: [],
-  pathIdx: 0, // index into cfg.path for appending new route points
-  dead: false,
-  lastPos: pos
-});
-    }
+  const CSV_COLS = {
+    time: ["time", "t", "timestamp", "datetime", "seconds", "when"],
+    lat: ["lat", "latitude"],
+    lng: ["lng", "lon", "long", "longitude"],
+    alt: ["alt", "altitude", "ele", "elevation"],
+    id: ["id", "aircraft", "track"],
+    callsign: ["callsign", "name"],
+    side: ["side"],
+    kind: ["kind"],
+    type: ["type"],
+    actor: ["actor"],
+    target: ["target"],
+    text: ["text"]
+  };
 
-    // lock view to mission extent (slight padding)
-    if (allBounds.isValid()){
-      map.fitBounds(allBounds.pad(0.18));
+  // one CSV record, honouring "quoted, cells" and "" escapes
+  function splitCsvLine(line, delim){
+    const out = [];
+    let cell = "", quoted = false;
+    for (let i = 0; i < line.length; i++){
+      const ch = line[i];
+      if (quoted){
+        if (ch === '"' && line[i+1] === '"'){ cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      }else if (ch === '"'){
+        quoted = true;
+      }else if (ch === delim){
+        out.push(cell.trim()); cell = "";
+      }else{
+        cell += ch;
+      }
     }
+    out.push(cell.trim());
+    return out;
   }
 
-  function selectAircraft(id){
-    selectedId = id;
-    const st = aircraftState.get(id);
-    if (!st) return;
-    elActiveChip.textContent = `ACTIVE: ${st.cfg.callsign}`;
-    elStatSel.textContent = `${st.cfg.callsign} (${st.cfg.side})`;
-  }
+  function parseCSV(text, base){
+    const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith("#"));
+    if (!lines.length) return { tracks: [], events: [] };
+    const delim = [",", ";", "\t"].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+    const split = l => splitCsvLine(l, delim);
 
+    // Header row is optional; without one, columns are time,lat,lng[,alt]
+    const first = split(lines[0]).map(h => h.toLowerCase());
+    const hasHeader = first.some(h => CSV_COLS.lat.includes(h));
+    const col = {};
+    for (const [k, names] of Object.entries(CSV_COLS)){
+      col[k] = hasHeader ? first.findIndex(h => names.includes(h)) : ({ time: 0, lat: 1, lng: 2, alt: 3 }[k] ?? -1);
+    }
+    if (col.lat < 0 || col.lng < 0) throw new Error("CSV needs lat and lng columns");
 
-  // -------- Map follow (optional)
-  // Keeps the map centered on the selected aircraft (if any),
-  // otherwise follows the average position of all live tracks.
-  let __followTick = 0;
-  let __followJustEnabled = false;
-  let __followZoomTarget = null;
-  const FOLLOW_INTERVAL_MS = 650;
+    const byId = new Map();
+    const events = [];
+    let mission = null;
+    for (const line of lines.slice(hasHeader ? 1 : 0)){
+      const c = split(line);
+      const kind = col.kind >= 0 ? c[col.kind] : "track";
+      if (kind === "mission"){
+        try{ mission = JSON.parse(c[col.text]); }catch(err){ mission = null; }
+        continue;
+      }
+      if (kind === "event"){
+        const tm = parseTime(c[col.time]);
+        const ev = { time: tm?.time ?? null, absolute: !!tm?.absolute, type: c[col.type] || "note" };
+        for (const k of ["actor", "target", "text"]) if (col[k] >= 0 && c[col[k]]) ev[k] = c[col[k]];
+        const lat = numOrNull(c[col.lat]), lng = numOrNull(c[col.lng]);
+        if (lat != null && lng != null){ ev.lat = lat; ev.lng = lng; }
+        events.push(ev);
+        continue;
+      }
+      if (kind !== "track") continue;
 
-  function getFollowTargetLatLng(){
-    // Prefer the actively selected aircraft
-    if (selectedId){
-      const st = aircraftState.get(selectedId);
-      if (st && !st.dead && st.lastPos) return L.latLng(st.lastPos.lat, st.lastPos.lng);
-    }
-    // Otherwise: average of all live tracks (stable, cinematic)
-    let sumLat = 0, sumLng = 0, n = 0;
-    for (const st of aircraftState.values()){
-      if (st.dead || !st.lastPos) continue;
-      sumLat += st.lastPos.lat;
-      sumLng += st.lastPos.lng;
-      n++;
+      const id = (col.id >= 0 && c[col.id]) || base;
+      if (!byId.has(id)){
+        byId.set(id, {
+          name: (col.callsign >= 0 && c[col.callsign]) || id,
+          id,
+          side: col.side >= 0 ? c[col.side] : "",
+          points: []
+        });
+      }
+      const tm = col.time >= 0 ? parseTime(c[col.time]) : null;
+      byId.get(id).points.push({
+        time: tm?.time ?? null,
+        absolute: !!tm?.absolute,
+        lat: numOrNull(c[col.lat]),
+        lng: numOrNull(c[col.lng]),
+        alt: col.alt >= 0 ? numOrNull(c[col.alt]) : null
+      });
     }
-    if (!n) return null;
-    return L.latLng(sumLat / n, sumLng / n);
+    return { tracks: [...byId.values()], events, mission };
   }
 
-  function maybeFollowMap(){
-    if (!elFollow || !elFollow.checked || !map) return;
+  // `carried` is { mission, epoch } from one of our own exports, if any
+  function tracksToMission(tracks, rawEvents=[], carried={}){
+    // Absolute timestamps share one origin so the tracks stay in sync;
+    // an exported epoch keeps times that didn't start at 0 in place
+    let t0 = Number.isFinite(carried.epoch) ? carried.epoch : Infinity;
+    for (const tr of tracks){
+      if (Number.isFinite(carried.epoch)) break;
+      for (const p of tr.points) if (p.absolute && p.time != null) t0 = Math.min(t0, p.time);
+    }
+    const relT = (time, absolute) => absolute ? (time - t0) / 1000 : time;
 
-    const nowMs = performance.now();
-    if (!__followJustEnabled && (nowMs - __followTick) < FOLLOW_INTERVAL_MS) return;
-    __followTick = nowMs;
-
-    const tgt = getFollowTargetLatLng();
-    if (!tgt) return;
-
-    // One-time "zoom in" when enabling follow, then keep that zoom (or higher).
-if (__followJustEnabled){
-  __followJustEnabled = false;
-  __followZoomTarget = Math.max(map.getZoom(), 15);
-  map.setView(tgt, __followZoomTarget, { animate: true, duration: 0.85 });
-  return;
-}
+    const used = new Set();
+    const aircraft = tracks.map((tr, i) => {
+      const pts = tr.points.filter(p =>
+        Number.isFinite(p.lat) && Number.isFinite(p.lng) && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180);
 
-// Stay locked on target (throttled) at the follow zoom.
-const zNow = map.getZoom();
-const z = (__followZoomTarget == null) ? Math.max(zNow, 15) : Math.max(zNow, __followZoomTarget);
-__followZoomTarget = z;
-map.setView(tgt, z, { animate: true, duration: 0.9 });
-  }
+      let path;
+      if (pts.some(p => p.time == null)){
+        // untimed: space points by distance at a nominal cruise speed
+        let acc = 0;
+        path = pts.map((p, j) => {
+          if (j) acc += distM(pts[j-1], p) / IMPORT_SPEED_MS;
+          return { t: acc, lat: p.lat, lng: p.lng, alt: p.alt };
+        });
+      }else{
+        path = pts.map(p => ({
+          t: relT(p.time, p.absolute),
+          lat: p.lat, lng: p.lng, alt: p.alt
+        })).sort((a, b) => a.t - b.t);
+      }
 
-  // -------- Effects on map
-  function addImpact(lat, lng){
-    const m = L.marker([lat,lng], {
-      icon: L.divIcon({ className:"", html:`<div class="crash">💥</div>` }),
-      interactive: false
-    }).addTo(map);
+      // round, then drop repeated timestamps (interpPath needs strictly increasing t)
+      const clean = [];
+      for (const p of path){
+        const pt = { t: Math.round(p.t * 10) / 10, lat: p.lat, lng: p.lng };
+        if (p.alt != null) pt.alt = p.alt;
+        if (clean.length && pt.t <= clean[clean.length-1].t) continue;
+        clean.push(pt);
+      }
 
-    gsap.fromTo(m.getElement(), {scale:0.6, opacity:0}, {scale:1.15, opacity:1, duration:0.18, ease:"power2.out"});
-    gsap.to(m.getElement(), {scale:1.4, opacity:0, duration:1.4, ease:"power2.inOut", onComplete: ()=> map.removeLayer(m)});
+      // ids from our own CSV export are kept verbatim so events still match
+      let id = tr.id ? String(tr.id)
+        : String(tr.name || `TRACK-${i+1}`).toUpperCase().replace(/[^A-Z0-9_-]+/g, "-") || `TRACK-${i+1}`;
+      while (used.has(id)) id += "'";
+      used.add(id);
 
-    // shock ring
-    const ring = L.circle([lat,lng], {
-      radius: 300,
-      color: "#ff00b8",
-      weight: 3,
-      opacity: 0.8,
-      fillOpacity: 0.10,
-      fillColor: "#ffe84a"
-    }).addTo(map);
+      const side = String(tr.side || "").toUpperCase();
+      return {
+        id,
+        callsign: String(tr.name || id).toUpperCase(),
+        side: side || "RAF",
+        icon: "✈",
+        path: clean
+      };
+    }).filter(ac => ac.path.length);
 
-    const el = ring.getElement();
-    if (el){
-      gsap.fromTo(el, {opacity: 0.8}, {opacity:0, duration:1.5, ease:"power2.out", onComplete: ()=> map.removeLayer(ring)});
-    }else{
-      setTimeout(()=> map.removeLayer(ring), 1500);
+    let latSum = 0, lngSum = 0, n = 0, dur = 0;
+    for (const ac of aircraft){
+      for (const p of ac.path){ latSum += p.lat; lngSum += p.lng; n++; }
+      dur = Math.max(dur, ac.path[ac.path.length-1].t);
     }
-  }
 
-  function addGunBurst(lat, lng){
-    const m = L.marker([lat,lng], {
-      icon: L.divIcon({ className:"", html:`<div class="burst"></div>` }),
-      interactive: false
-    }).addTo(map);
+    const meta = { title: "Imported tracks", sector: "Imported", note: `${aircraft.length} track(s) imported.` };
+    if (Number.isFinite(t0)) meta.start = new Date(t0).toISOString();
 
-    const node = m.getElement();
-    if (node){
-      gsap.fromTo(node, {scale:0.8, opacity:0}, {scale:1.2, opacity:1, duration:0.12});
-      gsap.to(node, {scale:1.8, opacity:0, duration:0.45, ease:"power2.out", onComplete: ()=> map.removeLayer(m)});
-    }else{
-      setTimeout(()=> map.removeLayer(m), 500);
+    const events = rawEvents
+      .filter(ev => ev.time != null)
+      .map(({ time, absolute, ...ev }) => ({ t: Math.round(relT(time, absolute) * 10) / 10, ...ev }))
+      .sort((a, b) => a.t - b.t);
+    for (const ev of events) dur = Math.max(dur, ev.t);
+
+    const imported = {
+      meta,
+      duration_s: Math.max(1, Math.ceil(dur)),
+      center: n ? { lat: latSum / n, lng: lngSum / n } : { lat: 51.505, lng: -0.09 },
+      aircraft,
+      events
+    };
+    if (!carried.mission) return imported;
+
+    // put the exported settings back: aircraft config by id, and the
+    // path-less ones (formation wingmen) as they were
+    const { aircraft: cfgs = [], ...settings } = carried.mission;
+    const byId = new Map(aircraft.map(ac => [ac.id, ac]));
+    const restored = cfgs.map(cfg => byId.has(cfg.id) ? { ...cfg, path: byId.get(cfg.id).path } : cfg);
+    const known = new Set(cfgs.map(cfg => cfg.id));
+    return {
+      ...imported,
+      ...settings,
+      aircraft: [...restored, ...aircraft.filter(ac => !known.has(ac.id))],
+      events
+    };
+  }
+
+  // Inverse of exportGeoJSON(): tracks carry their relative times in
+  // properties.coordTimes, events are features with properties.kind = "event".
+  function missionFromGeoJSON(fc){
+    const base = fc.mission || {};
+    const aircraft = [];
+    const events = [];
+    for (const f of fc.features || []){
+      const props = f?.properties || {};
+      if (props.kind === "track" && f.geometry?.type === "LineString"){
+        const { kind, coordTimes = [], ...cfg } = props;
+        cfg.path = f.geometry.coordinates.map((c, i) => {
+          const pt = { t: coordTimes[i], lat: c[1], lng: c[0] };
+          if (c.length > 2) pt.alt = c[2];
+          return pt;
+        });
+        aircraft.push(cfg);
+      }else if (props.kind === "event"){
+        const { kind, ...ev } = props;
+        events.push(ev);
+      }
     }
+    return { ...base, aircraft, events: events.sort((a, b) => a.t - b.t) };
   }
 
-  // -------- Radar scope
-  const radar = $("#radar");
-  const rctx = radar.getContext("2d");
-  const RAD = { sweepDeg: 0 };
-  let __radarW = 0, __radarH = 0, __radarDPR = 1;
-  function resizeRadarCanvas(){
-    const stage = radar?.parentElement;
-    if (!stage) return;
-    const dpr = Math.max(1, Math.min(2.5, window.devicePixelRatio || 1));
-    const w = Math.max(1, Math.floor(stage.clientWidth));
-    const h = Math.max(1, Math.floor(stage.clientHeight));
-    if (w === __radarW && h === __radarH && dpr === __radarDPR) return;
-    __radarW = w; __radarH = h; __radarDPR = dpr;
-    radar.width = Math.floor(w * dpr);
-    radar.height = Math.floor(h * dpr);
-    // reset transform so draw coords are in CSS pixels
-    rctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  // -------- Export (GeoJSON / KML / CSV)
+  // Everything is built from the loaded MISSION; tracks are resampled at
+  // `rate` seconds through interpPath() so the file matches the replay.
+  const KML_EPOCH_MS = 0; // missions without meta.start are placed at 1970-01-01T00:00:00Z
+  const KML_EVENT_SPAN_S = 5; // how long events stay visible on the Google Earth time slider
+
+  function sampleTrack(ac, rate, mission=MISSION){
+    const path = ac.path || [];
+    const mode = interpModeFor(ac, mission);
+    if (!path.length) return [];
+    const t0 = path[0].t, t1 = path[path.length-1].t;
+    const out = [];
+    for (let k = 0; ; k++){
+      const tt = Math.min(t1, t0 + k * rate);
+      const pos = interpPath(path, tt, mode);
+      out.push({ t: Math.round(tt * 1000) / 1000, lat: pos.lat, lng: pos.lng, alt: pos.alt, hdg: pos.hdg });
+      if (tt >= t1) break;
+    }
+    return out;
   }
 
+  const round6 = n => Math.round(n * 1e6) / 1e6;
 
-  function latLngToRadar(lat, lng, center){
-    const lat0 = center.lat, lng0 = center.lng;
-    const kx = Math.cos(lat0 * Math.PI/180);
-    const dx = (lng - lng0) * kx;
-    const dy = (lat - lat0);
-    const scale = 9000; // arbitrary normalization
-    return { dx: dx * scale, dy: dy * scale };
+  // Everything but the tracks and events, carried by KML and CSV so they
+  // load back as the same mission (paths come back resampled at `rate`)
+  function missionSettings(mission){
+    const { aircraft = [], events, ...rest } = mission;
+    return { ...rest, aircraft: aircraft.map(({ path, ...cfg }) => cfg) };
   }
 
-  function drawRadarFrame(W, H){
-    const cx = W/2, cy = H/2;
-    rctx.save();
-    // phosphor persistence fade
-    rctx.fillStyle = "rgba(0,0,0,0.12)";
-    rctx.fillRect(0,0,W,H);
+  // position of an event's actor/target at the event time (null if unknown)
+  function eventPos(mission, id, tt){
+    const ac = (mission.aircraft || []).find(a => a.id === id);
+    return ac ? interpPath(ac.path, tt, interpModeFor(ac, mission)) : null;
+  }
 
-    rctx.strokeStyle = "rgba(40,215,255,0.18)";
-    rctx.lineWidth = 2;
+  function exportGeoJSON(mission, rate){
+    const features = [];
+    for (const ac of mission.aircraft || []){
+      const samples = sampleTrack(ac, rate, mission);
+      const { path, ...props } = ac;
+      features.push({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: samples.map(p =>
+          p.alt != null ? [round6(p.lng), round6(p.lat), Math.round(p.alt)] : [round6(p.lng), round6(p.lat)]) },
+        properties: { kind: "track", ...props, coordTimes: samples.map(p => p.t) }
+      });
+    }
 
-    const rMax = Math.min(W,H)*0.44;
-    for (let r = rMax*0.25; r <= rMax; r += rMax*0.25){
-      rctx.beginPath();
-      rctx.arc(cx, cy, r, 0, Math.PI*2);
-      rctx.stroke();
+    for (const ev of mission.events || []){
+      let geometry = null;
+      if (typeof ev.lat === "number" && typeof ev.lng === "number"){
+        geometry = { type: "Point", coordinates: [round6(ev.lng), round6(ev.lat)] };
+      }else if (ev.actor){
+        const a = eventPos(mission, ev.actor, ev.t);
+        const b = ev.target ? eventPos(mission, ev.target, ev.t) : null;
+        if (a && b) geometry = { type: "LineString", coordinates: [[round6(a.lng), round6(a.lat)], [round6(b.lng), round6(b.lat)]] };
+        else if (a) geometry = { type: "Point", coordinates: [round6(a.lng), round6(a.lat)] };
+      }
+      features.push({ type: "Feature", geometry, properties: { kind: "event", ...ev } });
     }
-    rctx.beginPath();
-    rctx.moveTo(cx, 18); rctx.lineTo(cx, H-18);
-    rctx.moveTo(18, cy); rctx.lineTo(W-18, cy);
-    rctx.stroke();
-    rctx.restore();
+
+    const { aircraft, events, ...rest } = mission;
+    return JSON.stringify({ type: "FeatureCollection", mission: rest, features }, null, 2);
   }
 
-  function drawRadarSweep(W,H){
-    const cx=W/2, cy=H/2;
-    const rMax = Math.min(W,H)*0.46;
+  // #rrggbb -> KML aabbggrr
+  function kmlColor(hex, alpha="ff"){
+    const h = hex.replace("#", "");
+    return alpha + h.slice(4,6) + h.slice(2,4) + h.slice(0,2);
+  }
 
-    RAD.sweepDeg = (RAD.sweepDeg + 5.2) % 360; // fast sweep
-    const a = RAD.sweepDeg * Math.PI/180;
+  function exportKML(mission, rate){
+    const start = Date.parse(mission.meta?.start || "");
+    const base = Number.isNaN(start) ? KML_EPOCH_MS : start;
+    const iso = tt => new Date(base + tt * 1000).toISOString();
+    const out = [];
 
-    const ex = cx + Math.cos(a)*rMax;
-    const ey = cy + Math.sin(a)*rMax;
+    out.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+    out.push(`<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">`);
+    out.push(`<Document>`);
+    out.push(`<name>${escapeHtml(mission.meta?.title || "Mission replay")}</name>`);
+    out.push(`<ExtendedData><Data name="epoch"><value>${new Date(base).toISOString()}</value></Data>` +
+             `<Data name="mission"><value>${escapeHtml(JSON.stringify(missionSettings(mission)))}</value></Data></ExtendedData>`);
+    const sideId = side => `side-${String(side).replace(/[^A-Za-z0-9_-]+/g, "_")}`;
+    for (const side of new Set((mission.aircraft || []).map(ac => ac.side))){
+      const col = forces.sides.get(side)?.color || DEFAULT_SIDES.RAF.color;
+      out.push(`<Style id="${sideId(side)}"><LineStyle><color>${kmlColor(col)}</color><width>3</width></LineStyle>` +
+               `<IconStyle><color>${kmlColor(col)}</color></IconStyle></Style>`);
+    }
 
-    rctx.strokeStyle = "rgba(255,0,184,0.62)";
-    rctx.lineWidth = 4;
-    rctx.beginPath();
-    rctx.moveTo(cx,cy);
-    rctx.lineTo(ex,ey);
-    rctx.stroke();
+    for (const ac of mission.aircraft || []){
+      const samples = sampleTrack(ac, rate, mission);
+      if (!samples.length) continue;
+      out.push(`<Placemark>`);
+      out.push(`<name>${escapeHtml(ac.callsign)}</name>`);
+      out.push(`<styleUrl>#${sideId(ac.side)}</styleUrl>`);
+      out.push(`<TimeSpan><begin>${iso(samples[0].t)}</begin><end>${iso(samples[samples.length-1].t)}</end></TimeSpan>`);
+      out.push(`<ExtendedData><Data name="id"><value>${escapeHtml(ac.id)}</value></Data>` +
+               `<Data name="side"><value>${escapeHtml(ac.side)}</value></Data></ExtendedData>`);
+      const hasAlt = samples.some(p => p.alt != null);
+      out.push(`<gx:Track>`);
+      out.push(`<altitudeMode>${hasAlt ? "absolute" : "clampToGround"}</altitudeMode>`);
+      for (const p of samples) out.push(`<when>${iso(p.t)}</when>`);
+      for (const p of samples) out.push(`<gx:coord>${round6(p.lng)} ${round6(p.lat)} ${Math.round(p.alt ?? 0)}</gx:coord>`);
+      out.push(`</gx:Track>`);
+      out.push(`</Placemark>`);
+    }
 
-    const cone = 0.20;
-    const g = rctx.createRadialGradient(cx,cy,0,cx,cy,rMax);
-    g.addColorStop(0,"rgba(255,0,184,0.10)");
-    g.addColorStop(1,"rgba(255,0,184,0)");
-    rctx.fillStyle = g;
+    // events keep their own fields in <ExtendedData>; the Point is only
+    // for Google Earth, and events with no position are written without one
+    for (const ev of mission.events || []){
+      let at = null;
+      if (typeof ev.lat === "number" && typeof ev.lng === "number") at = ev;
+      else if (ev.actor) at = eventPos(mission, ev.actor, ev.t);
 
-    rctx.beginPath();
-    rctx.arc(cx,cy,rMax, a-cone, a+cone);
-    rctx.lineTo(cx,cy);
-    rctx.closePath();
-    rctx.fill();
+      out.push(`<Placemark>`);
+      out.push(`<name>${escapeHtml(String(ev.type || "").toUpperCase())}</name>`);
+      out.push(`<description>${escapeHtml(ev.text || "")}</description>`);
+      out.push(`<TimeSpan><begin>${iso(ev.t)}</begin><end>${iso(ev.t + KML_EVENT_SPAN_S)}</end></TimeSpan>`);
+      const data = Object.entries(ev).filter(([k, v]) => k !== "t" && k !== "text" && v != null)
+        .map(([k, v]) => `<Data name="${escapeHtml(k)}"><value>${escapeHtml(v)}</value></Data>`).join("");
+      out.push(`<ExtendedData><Data name="kind"><value>event</value></Data>${data}</ExtendedData>`);
+      if (at) out.push(`<Point><coordinates>${round6(at.lng)},${round6(at.lat)},0</coordinates></Point>`);
+      out.push(`</Placemark>`);
+    }
+
+    out.push(`</Document>`);
+    out.push(`</kml>`);
+    return out.join("\n");
   }
 
-  function roundRect(ctx,x,y,w,h,r){
-    const rr = Math.min(r, w/2, h/2);
-    ctx.beginPath();
-    ctx.moveTo(x+rr,y);
-    ctx.arcTo(x+w,y,x+w,y+h,rr);
-    ctx.arcTo(x+w,y+h,x,y+h,rr);
-    ctx.arcTo(x,y+h,x,y,rr);
-    ctx.arcTo(x,y,x+w,y,rr);
-    ctx.closePath();
+  function csvCell(v){
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
   }
 
-  function drawBlip(x,y,side,txt,showLabel,dangerLabel){
-    const col = side === "RAF" ? "40,215,255" : "255,0,184";
-    rctx.fillStyle = `rgba(${col},0.92)`;
-    rctx.beginPath();
-    rctx.arc(x,y,3.6,0,Math.PI*2);
-    rctx.fill();
+  // One flat table: a mission settings row (JSON in `text`), track samples,
+  // then events. Loads back through OPEN.
+  function exportCSV(mission, rate){
+    const cols = ["kind", "id", "callsign", "side", "t", "lat", "lng", "alt", "hdg", "type", "actor", "target", "text"];
+    const rows = [cols.join(",")];
+    const row = o => rows.push(cols.map(c => csvCell(o[c])).join(","));
 
-    rctx.fillStyle = `rgba(${col},0.14)`;
-    rctx.beginPath();
-    rctx.arc(x,y,10,0,Math.PI*2);
-    rctx.fill();
+    row({ kind: "mission", text: JSON.stringify(missionSettings(mission)) });
+    for (const ac of mission.aircraft || []){
+      for (const p of sampleTrack(ac, rate, mission)){
+        row({ kind: "track", id: ac.id, callsign: ac.callsign, side: ac.side,
+              t: p.t, lat: round6(p.lat), lng: round6(p.lng),
+              alt: p.alt != null ? Math.round(p.alt) : "", hdg: Math.round(p.hdg) });
+      }
+    }
+    for (const ev of mission.events || []){
+      row({ kind: "event", ...ev });
+    }
+    return rows.join("\n") + "\n";
+  }
 
-    if (showLabel){
-      rctx.font = "14px ui-monospace, Menlo, Consolas, monospace";
-      const pad = 8;
-      const w = rctx.measureText(txt).width + pad*2;
-      const h = 22;
-      const lx = x + 10;
-      const ly = y - 26;
+  const EXPORTERS = {
+    geojson: { fn: exportGeoJSON, ext: "geojson", mime: "application/geo+json" },
+    kml:     { fn: exportKML,     ext: "kml",     mime: "application/vnd.google-earth.kml+xml" },
+    csv:     { fn: exportCSV,     ext: "csv",     mime: "text/csv" }
+  };
 
-      rctx.fillStyle = dangerLabel ? "rgba(60,0,18,0.55)" : "rgba(0,0,0,0.45)";
-      roundRect(rctx, lx, ly, w, h, 11);
-      rctx.fill();
-      rctx.strokeStyle = dangerLabel ? "rgba(255,0,0,0.65)" : "rgba(255,255,255,0.16)";
-      rctx.lineWidth = 2;
-      roundRect(rctx, lx, ly, w, h, 11);
-      rctx.stroke();
+  function downloadText(filename, text, mime){
+    downloadBlob(filename, new Blob([text], { type: mime }));
+  }
 
-      rctx.fillStyle = dangerLabel ? "rgba(255,80,120,0.95)" : "rgba(255,247,255,0.88)";
+  function downloadBlob(filename, blob){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(()=> URL.revokeObjectURL(url), 1000);
+  }
+
+  function missionSlug(mission){
+    return String(mission?.meta?.title || "mission").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "mission";
+  }
+
+  function exportReplay(format, rate){
+    const ex = EXPORTERS[format];
+    if (!ex || !MISSION) return;
+    const r = Math.max(0.1, Number(rate) || 1);
+    downloadText(`${missionSlug(MISSION)}.${ex.ext}`, ex.fn(MISSION, r), ex.mime);
+  }
+
+  // -------- Mission validation
+  // Checks the mission structure before anything touches the map.
+  // Returns a list of { level: "error"|"warn", path, msg } where `path` is a JSON path.
+  // Errors stop the boot; warnings are reported and the replay carries on.
+  function validateMission(m){
+    const problems = [];
+    const err = (path, msg) => problems.push({ level: "error", path, msg });
+    const warn = (path, msg) => problems.push({ level: "warn", path, msg });
+    const isNum = v => typeof v === "number" && Number.isFinite(v);
+    const isObj = v => v != null && typeof v === "object" && !Array.isArray(v);
+
+    if (!isObj(m)){
+      err("$", "mission must be a JSON object");
+      return problems;
+    }
+
+    if (m.meta != null && !isObj(m.meta)) err("$.meta", "meta must be an object");
+
+    let dur = 120;
+    if (m.duration_s == null){
+      warn("$.duration_s", "missing; replay defaults to 120 s");
+    }else if (!isNum(m.duration_s) || m.duration_s <= 0){
+      err("$.duration_s", `must be a positive number (got ${JSON.stringify(m.duration_s)})`);
+    }else{
+      dur = m.duration_s;
+    }
+
+    if (m.interp != null && !INTERP_MODES.includes(m.interp)){
+      warn("$.interp", `unknown interpolation ${JSON.stringify(m.interp)}; using linear (known: ${INTERP_MODES.join(", ")})`);
+    }
+
+    if (m.center != null){
+      if (!isObj(m.center) || !isNum(m.center.lat) || !isNum(m.center.lng)){
+        err("$.center", "center needs numeric lat and lng");
+      }
+    }
+
+    if (m.radar != null){
+      if (!isObj(m.radar)){
+        err("$.radar", "radar must be an object {lat, lng, units, range, period_s, detect_range, pd}");
+      }else{
+        if ((m.radar.lat != null || m.radar.lng != null) && (!isNum(m.radar.lat) || !isNum(m.radar.lng))){
+          err("$.radar", "radar site needs numeric lat and lng");
+        }
+        if (m.radar.units != null && !Object.hasOwn(RADAR_UNITS, m.radar.units)){
+          warn("$.radar.units", `unknown units ${JSON.stringify(m.radar.units)}; ignored (known: ${Object.keys(RADAR_UNITS).join(", ")})`);
+        }
+        for (const key of ["range", "period_s", "detect_range"]){
+          if (m.radar[key] != null && !(isNum(m.radar[key]) && m.radar[key] > 0)){
+            warn(`$.radar.${key}`, `${key} must be a positive number; ignored`);
+          }
+        }
+        if (m.radar.pd != null && !(isNum(m.radar.pd) && m.radar.pd >= 0 && m.radar.pd <= 1)){
+          warn("$.radar.pd", "pd (probability of detection) must be between 0 and 1; ignored");
+        }
+      }
+    }
+
+    // sides / groups only style and sort aircraft; bad entries are skipped
+    if (m.sides != null && !isObj(m.sides)){
+      warn("$.sides", "must be an object of side name -> {color, icon, label}; ignored");
+    }else{
+      for (const [name, def] of Object.entries(m.sides || {})){
+        if (!isObj(def)){ warn(`$.sides.${name}`, "side settings must be an object; ignored"); continue; }
+        for (const k of ["label", "color", "icon"]){
+          if (def[k] != null && typeof def[k] !== "string") warn(`$.sides.${name}.${k}`, "must be a string");
+        }
+      }
+    }
+    const groupDefs = new Map();
+    if (m.groups != null && !Array.isArray(m.groups)){
+      warn("$.groups", "must be an array of {id, label, side, color, icon}; ignored");
+    }else{
+      (m.groups || []).forEach((g, i) => {
+        const at = `$.groups[${i}]`;
+        if (!isObj(g) || typeof g.id !== "string" || !g.id){ warn(at, "group needs a string id; ignored"); return; }
+        if (groupDefs.has(g.id)){ warn(`${at}.id`, `duplicate group id "${g.id}"; ignored`); return; }
+        groupDefs.set(g.id, g);
+        for (const k of ["label", "side", "color", "icon"]){
+          if (g[k] != null && typeof g[k] !== "string") warn(`${at}.${k}`, "must be a string");
+        }
+      });
+    }
+
+    const ids = new Set();
+    const acById = new Map();
+    const badPaths = new Set(); // ids whose path points failed; nothing interpolates them
+    const wingmen = [];
+    if (!Array.isArray(m.aircraft) || !m.aircraft.length){
+      err("$.aircraft", "must be a non-empty array");
+    }else{
+      m.aircraft.forEach((ac, i) => {
+        const at = `$.aircraft[${i}]`;
+        if (!isObj(ac)){ err(at, "aircraft entry must be an object"); return; }
+
+        if (typeof ac.id !== "string" || !ac.id){
+          err(`${at}.id`, "missing aircraft id");
+        }else if (ids.has(ac.id)){
+          err(`${at}.id`, `duplicate aircraft id "${ac.id}"`);
+        }else{
+          ids.add(ac.id);
+          acById.set(ac.id, ac);
+        }
+
+        if (typeof ac.callsign !== "string" || !ac.callsign) err(`${at}.callsign`, "missing callsign");
+
+        const group = groupDefs.get(ac.group);
+        if (ac.side == null && !group?.side){
+          warn(`${at}.side`, `no side (directly or from its group); treated as ${UNKNOWN_SIDE}`);
+        }else if (ac.side != null && (typeof ac.side !== "string" || !ac.side)){
+          err(`${at}.side`, `side must be a name (got ${JSON.stringify(ac.side)})`);
+        }else if (ac.side != null && group?.side && ac.side !== group.side){
+          warn(`${at}.side`, `side "${ac.side}" differs from its group's side "${group.side}"`);
+        }
+        if (ac.group != null && (typeof ac.group !== "string" || !ac.group)) err(`${at}.group`, "group must be a group id");
+        for (const k of ["color", "icon"]){
+          if (ac[k] != null && (typeof ac[k] !== "string" || !ac[k])) warn(`${at}.${k}`, `${k} must be a string; using the group's or side's`);
+        }
+
+        for (const k of ["gun_range_m", "fov_deg"]){
+          if (ac[k] != null && !(isNum(ac[k]) && ac[k] > 0)){
+            warn(`${at}.${k}`, `${k} must be a positive number; using the default`);
+          }
+        }
+
+        if (ac.interp != null && !INTERP_MODES.includes(ac.interp)){
+          warn(`${at}.interp`, `unknown interpolation ${JSON.stringify(ac.interp)}; using linear (known: ${INTERP_MODES.join(", ")})`);
+        }
+
+        if (ac.formation != null){
+          const f = ac.formation;
+          if (!isObj(f)){
+            err(`${at}.formation`, "formation must be an object {leader, right_m, back_m, up_m, until}");
+          }else{
+            for (const k of ["right_m", "back_m", "up_m", "until"]){
+              if (f[k] != null && !isNum(f[k])) err(`${at}.formation.${k}`, `${k} must be a number`);
+            }
+            wingmen.push({ ac, at });
+          }
+          // the leader's path fills in everything up to `until`
+          if (ac.path == null || (Array.isArray(ac.path) && !ac.path.length)) return;
+        }
+
+        if (!Array.isArray(ac.path) || !ac.path.length){
+          err(`${at}.path`, "must be a non-empty array of {t, lat, lng}");
+          return;
+        }
+        let prevT = -Infinity;
+        const nBefore = problems.length;
+        ac.path.forEach((pt, j) => {
+          const pp = `${at}.path[${j}]`;
+          if (!isObj(pt)){ err(pp, "path point must be an object"); return; }
+          if (!isNum(pt.lat) || pt.lat < -90 || pt.lat > 90) err(`${pp}.lat`, `invalid latitude ${JSON.stringify(pt.lat)}`);
+          if (!isNum(pt.lng) || pt.lng < -180 || pt.lng > 180) err(`${pp}.lng`, `invalid longitude ${JSON.stringify(pt.lng)}`);
+          if (pt.alt != null && !isNum(pt.alt)) err(`${pp}.alt`, `invalid altitude ${JSON.stringify(pt.alt)}`);
+          if (!isNum(pt.t)){
+            err(`${pp}.t`, `invalid time ${JSON.stringify(pt.t)}`);
+            return;
+          }
+          if (pt.t <= prevT){
+            err(`${pp}.t`, `path times must increase: t=${pt.t} follows t=${prevT}`);
+          }
+          prevT = Math.max(prevT, pt.t);
+        });
+        if (problems.length > nBefore) badPaths.add(ac.id);
+      });
+    }
+
+    for (const { ac, at } of wingmen){
+      let lead = acById.get(ac.formation.leader);
+      if (!lead){
+        err(`${at}.formation.leader`, `unknown leader "${ac.formation.leader}"`);
+        continue;
+      }
+      const seen = new Set([ac.id]);
+      while (lead?.formation && !seen.has(lead.id)){
+        seen.add(lead.id);
+        lead = acById.get(lead.formation.leader);
+      }
+      if (lead && seen.has(lead.id)) err(`${at}.formation.leader`, "formation leaders form a loop");
+    }
+
+    // declared event types: same fields as EVENT_TYPES
+    if (m.event_types != null && !isObj(m.event_types)){
+      err("$.event_types", "must be an object of type name -> settings");
+    }else{
+      for (const [name, def] of Object.entries(m.event_types || {})){
+        const at = `$.event_types.${name}`;
+        if (!isObj(def)){ err(at, "type settings must be an object"); continue; }
+        if (def.effect != null && !Object.hasOwn(EVENT_EFFECTS, def.effect)){
+          warn(`${at}.effect`, `unknown effect "${def.effect}" (known: ${Object.keys(EVENT_EFFECTS).join(", ")})`);
+        }
+        if (def.sound != null && !Object.hasOwn(AUDIO_SOUNDS, def.sound)){
+          warn(`${at}.sound`, `unknown sound "${def.sound}" (known: ${Object.keys(AUDIO_SOUNDS).join(", ")})`);
+        }
+        if (def.counter != null && (typeof def.counter !== "string" || !def.counter)) warn(`${at}.counter`, "must be a counter name");
+        if (def.blitz != null && !isNum(def.blitz)) warn(`${at}.blitz`, `invalid weight ${JSON.stringify(def.blitz)}`);
+        for (const k of ["label", "color", "cls"]){
+          if (def[k] != null && typeof def[k] !== "string") warn(`${at}.${k}`, "must be a string");
+        }
+      }
+    }
+    const types = mergeEventTypes(m);
+
+    if (m.events != null && !Array.isArray(m.events)){
+      err("$.events", "must be an array");
+    }else{
+      (m.events || []).forEach((ev, i) => {
+        const at = `$.events[${i}]`;
+        if (!isObj(ev)){ err(at, "event must be an object"); return; }
+
+        if (typeof ev.type !== "string" || !ev.type){
+          err(`${at}.type`, "missing event type");
+        }else if (!Object.hasOwn(types, ev.type)){
+          warn(`${at}.type`, `unknown event type "${ev.type}"; logged as a note (declare it under event_types)`);
+        }
+        const kind = types[ev.type] || {};
+
+        if (!isNum(ev.t)){
+          err(`${at}.t`, `invalid time ${JSON.stringify(ev.t)}`);
+        }else if (ev.t > dur){
+          warn(`${at}.t`, `t=${ev.t} is past duration_s=${dur}; event never fires`);
+        }
+
+        for (const k of ["actor", "target"]){
+          if (ev[k] != null && !ids.has(ev[k])){
+            warn(`${at}.${k}`, `references unknown aircraft "${ev[k]}"`);
+          }
+        }
+
+        if (ev.sound != null && !Object.hasOwn(AUDIO_SOUNDS, ev.sound)){
+          warn(`${at}.sound`, `unknown sound "${ev.sound}" (known: ${Object.keys(AUDIO_SOUNDS).join(", ")})`);
+        }
+        if (ev.audio != null && (typeof ev.audio !== "string" || !ev.audio)) warn(`${at}.audio`, "must be a clip URL");
+
+        if (kind.duel && !ev.target){
+          warn(`${at}.target`, `${ev.type} without a target`);
+        }
+
+        // consistency: the shooter should be somewhere near gun range of the target
+        const shooter = acById.get(ev.actor), victim = acById.get(ev.target);
+        const usable = ac => ac && !badPaths.has(ac.id) && Array.isArray(ac.path) && ac.path.length;
+        if (kind.duel && isNum(ev.t) && usable(shooter) && usable(victim)){
+          const pa = interpPath(shooter.path, ev.t, missionInterpMode(shooter, m));
+          const pb = interpPath(victim.path, ev.t, missionInterpMode(victim, m));
+          const d = distM(pa, pb);
+          if (d > gunRange(shooter) * ENGAGE_FAR_FACTOR){
+            warn(at, `${ev.actor} was ${(d / 1000).toFixed(1)} km from ${ev.target} at t=${ev.t} (gun range ${gunRange(shooter)} m)`);
+          }
+        }
+
+        if (kind.at && (!isNum(ev.lat) || !isNum(ev.lng))){
+          err(at, `${ev.type} needs numeric lat and lng`);
+        }
+      });
+    }
+
+    // camera keyframes are cosmetic: anything off is a warning and gets skipped
+    if (m.camera != null && !Array.isArray(m.camera)){
+      warn("$.camera", "must be an array of keyframes; ignored");
+    }else{
+      (m.camera || []).forEach((k, i) => {
+        const at = `$.camera[${i}]`;
+        if (!isObj(k) || !isNum(k.t)){ warn(at, "keyframe needs a numeric t; skipped"); return; }
+        if (k.zoom != null && !isNum(k.zoom)) warn(`${at}.zoom`, `invalid zoom ${JSON.stringify(k.zoom)}`);
+        const refs = k.follow != null ? [k.follow] : Array.isArray(k.fit) ? k.fit : [];
+        for (const id of refs){
+          if (!ids.has(id)) warn(at, `references unknown aircraft "${id}"`);
+        }
+        if (k.follow == null && k.fit == null && !(isNum(k.lat) && isNum(k.lng)) && !isNum(k.zoom)){
+          warn(at, "keyframe needs lat/lng, follow, fit or zoom");
+        }
+      });
+    }
+
+    return problems;
+  }
+
+  function renderValidation(problems){
+    elValidation.innerHTML = "";
+    elValidation.hidden = !problems.length;
+    if (!problems.length) return;
+
+    const nErr = problems.filter(p => p.level === "error").length;
+    const nWarn = problems.length - nErr;
+    const head = document.createElement("div");
+    head.className = "vHead";
+    head.textContent = `MISSION CHECK: ${nErr} error${nErr === 1 ? "" : "s"}, ${nWarn} warning${nWarn === 1 ? "" : "s"}`;
+    elValidation.appendChild(head);
+
+    for (const p of problems){
+      const line = document.createElement("div");
+      line.className = `vLine ${p.level === "error" ? "vError" : "vWarn"}`;
+      line.innerHTML = `<span class="vLevel">${p.level.toUpperCase()}</span>
+        <span class="vPath">${escapeHtml(p.path)}</span>
+        <span class="vMsg">${escapeHtml(p.msg)}</span>`;
+      elValidation.appendChild(line);
+    }
+  }
+
+  // -------- Helpers: time formatting
+  function fmtClock(t){
+    const s = Math.max(0, Math.floor(t));
+    const mm = String(Math.floor(s / 60)).padStart(2,"0");
+    const ss = String(s % 60).padStart(2,"0");
+    return `T+${mm}:${ss}`;
+  }
+
+  // -------- Geo helpers
+  const EARTH_R_M = 6371000;
+  const RAD_PER_DEG = Math.PI/180;
+
+  // great-circle distance in metres
+  function distM(a, b){
+    const dLat = (b.lat - a.lat) * RAD_PER_DEG;
+    const dLng = (b.lng - a.lng) * RAD_PER_DEG;
+    const h = Math.sin(dLat/2)**2 +
+              Math.cos(a.lat * RAD_PER_DEG) * Math.cos(b.lat * RAD_PER_DEG) * Math.sin(dLng/2)**2;
+    return 2 * EARTH_R_M * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // initial bearing a->b (degrees, 0 = north)
+  function bearingDeg(a, b){
+    const lat1 = a.lat * RAD_PER_DEG;
+    const lat2 = b.lat * RAD_PER_DEG;
+    const dLon = (b.lng - a.lng) * RAD_PER_DEG;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1)*Math.sin(lat2) - Math.sin(lat1)*Math.cos(lat2)*Math.cos(dLon);
+    return (Math.atan2(y, x) * 180/Math.PI + 360) % 360;
+  }
+
+  // point `d` metres from `p` along initial bearing `brg` (great circle)
+  function destPoint(p, brg, d){
+    const dr = d / EARTH_R_M, th = brg * RAD_PER_DEG;
+    const lat1 = p.lat * RAD_PER_DEG, lng1 = p.lng * RAD_PER_DEG;
+    const lat2 = Math.asin(Math.sin(lat1)*Math.cos(dr) + Math.cos(lat1)*Math.sin(dr)*Math.cos(th));
+    const lng2 = lng1 + Math.atan2(Math.sin(th)*Math.sin(dr)*Math.cos(lat1), Math.cos(dr) - Math.sin(lat1)*Math.sin(lat2));
+    return { lat: lat2 / RAD_PER_DEG, lng: lng2 / RAD_PER_DEG };
+  }
+
+  // -------- Path interpolation
+  // Modes (per aircraft `interp`, else mission `interp`, else linear):
+  //   linear   - straight lat/lng segments, heading snaps at waypoints
+  //   catmull  - centripetal Catmull-Rom spline through the waypoints
+  //   geodesic - great-circle arcs between waypoints
+  // Time still maps linearly onto each segment, so waypoint `t` values hold.
+  const INTERP_MODES = ["linear", "catmull", "geodesic"];
+  const ROUTE_SUBDIV = 12; // polyline samples per segment for curved modes
+
+  let interpOverride = ""; // UI override; "" = use the mission's own setting
+
+  function interpModeFor(ac, mission=MISSION){
+    return INTERP_MODES.includes(interpOverride) ? interpOverride : missionInterpMode(ac, mission);
+  }
+
+  // what the mission file itself asks for, without the PATHS override
+  function missionInterpMode(ac, mission=MISSION){
+    const mode = ac?.interp || mission?.interp || "linear";
+    return INTERP_MODES.includes(mode) ? mode : "linear";
+  }
+
+  // planar point (x scaled by cos(lat0)) so spline distances are roughly isotropic
+  function toXY(p, k){ return { x: p.lng * k, y: p.lat }; }
+
+  // centripetal (alpha = 0.5) Catmull-Rom between p1 and p2, u in [0,1]
+  function catmullRom(p0, p1, p2, p3, u){
+    const knot = (a, b) => Math.max(1e-9, Math.sqrt(Math.hypot(b.x - a.x, b.y - a.y)));
+    const t0 = 0, t1 = t0 + knot(p0, p1), t2 = t1 + knot(p1, p2), t3 = t2 + knot(p2, p3);
+    const tt = t1 + (t2 - t1) * u;
+    const lerp = (a, b, ta, tb) => {
+      const w = (tt - ta) / (tb - ta);
+      return { x: a.x + (b.x - a.x) * w, y: a.y + (b.y - a.y) * w };
+    };
+    const A1 = lerp(p0, p1, t0, t1), A2 = lerp(p1, p2, t1, t2), A3 = lerp(p2, p3, t2, t3);
+    const B1 = lerp(A1, A2, t0, t2), B2 = lerp(A2, A3, t1, t3);
+    return lerp(B1, B2, t1, t2);
+  }
+
+  function splinePoint(path, i, u){
+    const a = path[i], b = path[i+1];
+    const k = Math.cos(a.lat * RAD_PER_DEG);
+    const p1 = toXY(a, k), p2 = toXY(b, k);
+    // phantom end points mirror the neighbouring segment
+    const p0 = i > 0 ? toXY(path[i-1], k) : { x: 2*p1.x - p2.x, y: 2*p1.y - p2.y };
+    const p3 = i + 2 < path.length ? toXY(path[i+2], k) : { x: 2*p2.x - p1.x, y: 2*p2.y - p1.y };
+    const q = catmullRom(p0, p1, p2, p3, u);
+    return { lat: q.y, lng: q.x / k };
+  }
+
+  function slerpPoint(a, b, u){
+    const toV = p => {
+      const la = p.lat * RAD_PER_DEG, lo = p.lng * RAD_PER_DEG;
+      return [Math.cos(la) * Math.cos(lo), Math.cos(la) * Math.sin(lo), Math.sin(la)];
+    };
+    const va = toV(a), vb = toV(b);
+    const om = Math.acos(clamp(va[0]*vb[0] + va[1]*vb[1] + va[2]*vb[2], -1, 1));
+    if (om < 1e-12) return { lat: a.lat, lng: a.lng };
+    const sa = Math.sin((1 - u) * om) / Math.sin(om);
+    const sb = Math.sin(u * om) / Math.sin(om);
+    const v = [sa*va[0] + sb*vb[0], sa*va[1] + sb*vb[1], sa*va[2] + sb*vb[2]];
+    return { lat: Math.atan2(v[2], Math.hypot(v[0], v[1])) / RAD_PER_DEG, lng: Math.atan2(v[1], v[0]) / RAD_PER_DEG };
+  }
+
+  // position on segment i at fraction u for the given mode
+  function segmentPoint(path, i, u, mode){
+    const a = path[i], b = path[i+1];
+    if (mode === "catmull") return splinePoint(path, i, u);
+    if (mode === "geodesic") return slerpPoint(a, b, u);
+    return { lat: a.lat + (b.lat - a.lat) * u, lng: a.lng + (b.lng - a.lng) * u };
+  }
+
+  // Dense {t, lat, lng} samples of the whole route, drawn as the dashed
+  // route and consumed by the trail so marker, trail and blip share one curve.
+  function routeSamples(path, mode){
+    if (!path || !path.length) return [];
+    if (mode === "linear" || path.length < 2) return path.map(p => ({ t: p.t, lat: p.lat, lng: p.lng }));
+    const out = [{ t: path[0].t, lat: path[0].lat, lng: path[0].lng }];
+    for (let i = 0; i < path.length - 1; i++){
+      for (let k = 1; k <= ROUTE_SUBDIV; k++){
+        const u = k / ROUTE_SUBDIV;
+        const q = segmentPoint(path, i, u, mode);
+        out.push({ t: path[i].t + (path[i+1].t - path[i].t) * u, lat: q.lat, lng: q.lng });
+      }
+    }
+    return out;
+  }
+
+  function interpPath(path, t, mode="linear"){
+    if (!path || !path.length) return null;
+    if (t <= path[0].t) return { lat: path[0].lat, lng: path[0].lng, alt: path[0].alt ?? null, hdg: 0 };
+    if (t >= path[path.length-1].t){
+      const z = path[path.length-1];
+      return { lat: z.lat, lng: z.lng, alt: z.alt ?? null, hdg: 0 };
+    }
+
+    let i = 0;
+    while (i < path.length-1 && !(t >= path[i].t && t <= path[i+1].t)) i++;
+    const a = path[i], b = path[i+1];
+    const u = (t - a.t) / (b.t - a.t);
+
+    const { lat, lng } = segmentPoint(path, i, u, mode);
+    // alt is optional per point; hold whichever end has one
+    const alt = (a.alt != null && b.alt != null) ? a.alt + (b.alt - a.alt) * u : (a.alt ?? b.alt ?? null);
+
+    // heading = curve tangent (a short step along the same curve)
+    let hdg = bearingDeg(a, b);
+    if (mode !== "linear"){
+      const du = 1e-3;
+      const q = segmentPoint(path, i, u < 1 - du ? u + du : u - du, mode);
+      hdg = u < 1 - du ? bearingDeg({ lat, lng }, q) : bearingDeg(q, { lat, lng });
+    }
+    return { lat, lng, alt, hdg };
+  }
+
+  // -------- Flight data
+  // Ground speed (m/s), climb rate (m/s) and a smoothed heading from a
+  // central difference over +/-FD_WINDOW_S, so waypoints don't snap the
+  // heading and the path ends keep a sensible one. Curved modes already
+  // have a continuous tangent and keep it.
+  const FD_WINDOW_S = 2;
+
+  function flightData(path, t, mode="linear"){
+    const p = interpPath(path, t, mode);
+    if (!p) return null;
+    const t0 = path[0].t, t1 = path[path.length-1].t;
+    const ta = clamp(t - FD_WINDOW_S, t0, t1);
+    const tb = clamp(t + FD_WINDOW_S, t0, t1);
+
+    if (tb - ta < 1e-6){
+      // parked before the first / after the last point: face along the edge segment
+      const hdg = path.length > 1
+        ? (t <= t0 ? bearingDeg(path[0], path[1]) : bearingDeg(path[path.length-2], path[path.length-1]))
+        : 0;
+      return { ...p, hdg, gs: 0, vs: p.alt != null ? 0 : null };
+    }
+
+    const a = interpPath(path, ta, mode), b = interpPath(path, tb, mode);
+    const d = distM(a, b);
+    const gs = d / (tb - ta);
+    const vs = (a.alt != null && b.alt != null) ? (b.alt - a.alt) / (tb - ta) : null;
+    const hdg = (mode === "linear" && d > 1) ? bearingDeg(a, b) : p.hdg;
+    return { ...p, hdg, gs, vs };
+  }
+
+  // mission-wide altitude span, for tinting radar blips
+  let altRange = null;
+  function buildAltRange(){
+    altRange = null;
+    for (const ac of MISSION?.aircraft || []){
+      for (const pt of ac.path || []){
+        if (typeof pt.alt !== "number") continue;
+        if (!altRange) altRange = { min: pt.alt, max: pt.alt };
+        altRange.min = Math.min(altRange.min, pt.alt);
+        altRange.max = Math.max(altRange.max, pt.alt);
+      }
+    }
+  }
+
+  // 0..1 within the mission's altitude span (null when the mission has no altitudes)
+  function altFrac(alt){
+    if (!altRange || alt == null) return null;
+    const span = altRange.max - altRange.min;
+    return span > 0 ? clamp((alt - altRange.min) / span, 0, 1) : 0.5;
+  }
+
+  function updateFlightReadout(){
+    const st = selectedId ? aircraftState.get(selectedId) : null;
+    const fd = st?.lastPos;
+    if (!fd){
+      elFdAlt.textContent = elFdGs.textContent = elFdVs.textContent = elFdHdg.textContent = "—";
+      return;
+    }
+    elFdAlt.textContent = fd.alt != null ? `${Math.round(fd.alt).toLocaleString("en-GB")} m` : "—";
+    elFdGs.textContent = fd.gs != null ? `${Math.round(fd.gs * 3.6)} km/h` : "—";
+    elFdVs.textContent = fd.vs != null ? `${fd.vs >= 0 ? "+" : ""}${fd.vs.toFixed(1)} m/s` : "—";
+    elFdHdg.textContent = `${String(Math.round(fd.hdg) % 360).padStart(3, "0")}°`;
+  }
+
+  // -------- Sides, groups & formations
+  // Both are optional in the mission file:
+  //   "sides":  { "RAF": { "color": "#28d7ff", "icon": "✈", "label": "Royal Air Force" } }
+  //   "groups": [{ "id": "BENNET", "label": "BENNET flight", "side": "RAF", "color", "icon" }]
+  // An aircraft names its "group"; without one it sits in a group per side.
+  // Colour and icon resolve aircraft -> group -> side -> default. Aircraft on
+  // different sides are hostile to each other.
+  const DEFAULT_SIDES = {
+    RAF: { color: "#28d7ff" },
+    ENEMY: { color: "#ff00b8" }
+  };
+  const SIDE_PALETTE = ["#b6ff2e", "#ffe84a", "#8b5bff", "#ffa03c", "#7dffd8", "#ff2bd6"];
+  const DEFAULT_ICON = "✈";
+  const UNKNOWN_SIDE = "UNKNOWN";
+  const GROUP_DIM = 0.25;       // alpha of the other groups while one is highlighted
+  const FORMATION_STEP_S = 2;   // wingman path sampling
+
+  let forces = { sides: new Map(), groups: new Map() };
+  // legend state: hidden groups, or a solo group, plus an optional highlight
+  let groupView = { hidden: new Set(), solo: null, focus: null };
+
+  const groupOf = ac => ac.group || ac.side || UNKNOWN_SIDE;
+
+  // Fills in each aircraft's side from its group and expands formations;
+  // runs on every mission before it reaches the map.
+  function prepareForces(m){
+    const groups = Array.isArray(m.groups) ? m.groups : [];
+    for (const ac of m.aircraft || []){
+      if (!ac.side) ac.side = groups.find(g => g?.id === ac.group)?.side || UNKNOWN_SIDE;
+    }
+    expandFormations(m);
+  }
+
+  function buildForces(m=MISSION){
+    const sides = new Map(), groups = new Map();
+    let spare = 0;
+    const addSide = (name, def) => {
+      if (!sides.has(name)){
+        sides.set(name, {
+          name, label: name, icon: DEFAULT_ICON,
+          color: DEFAULT_SIDES[name]?.color || SIDE_PALETTE[spare++ % SIDE_PALETTE.length]
+        });
+      }
+      const side = sides.get(name);
+      if (def && typeof def === "object") Object.assign(side, pickStyle(def));
+      return side;
+    };
+    for (const [name, def] of Object.entries(m.sides && typeof m.sides === "object" ? m.sides : {})) addSide(name, def);
+    for (const g of Array.isArray(m.groups) ? m.groups : []){
+      if (!g?.id || groups.has(g.id)) continue;
+      groups.set(g.id, { id: g.id, label: g.id, side: g.side || null, members: [], ...pickStyle(g) });
+    }
+    for (const ac of m.aircraft || []){
+      addSide(ac.side);
+      const id = groupOf(ac);
+      if (!groups.has(id)) groups.set(id, { id, label: ac.group ? id : sides.get(ac.side).label, side: ac.side, members: [] });
+      const g = groups.get(id);
+      g.side ||= ac.side;
+      g.members.push(ac.id);
+    }
+    for (const g of groups.values()) if (g.side) addSide(g.side);
+    forces = { sides, groups };
+  }
+
+  function pickStyle(def){
+    const out = {};
+    for (const k of ["label", "color", "icon"]) if (typeof def[k] === "string" && def[k]) out[k] = def[k];
+    return out;
+  }
+
+  function styleOf(ac){
+    const g = forces.groups.get(groupOf(ac)), side = forces.sides.get(ac.side);
+    return {
+      color: ac.color || g?.color || side?.color || DEFAULT_SIDES.RAF.color,
+      icon: ac.icon || g?.icon || side?.icon || DEFAULT_ICON
+    };
+  }
+
+  // "#28d7ff" -> "40,215,255" for rgba() strings
+  function rgbOf(hex){
+    let h = String(hex).replace(/^#/, "");
+    if (h.length === 3) h = [...h].map(c => c + c).join("");
+    const n = parseInt(h, 16);
+    return /^[0-9a-f]{6}$/i.test(h) ? `${n >> 16 & 255},${n >> 8 & 255},${n & 255}` : "40,215,255";
+  }
+
+  function hostile(a, b){
+    return a.side !== b.side;
+  }
+
+  // 0 hidden .. 1 full, from the legend's hide / solo / highlight state
+  function viewAlpha(ac){
+    const g = groupOf(ac);
+    if (groupView.solo ? g !== groupView.solo : groupView.hidden.has(g)) return 0;
+    return groupView.focus && g !== groupView.focus ? GROUP_DIM : 1;
+  }
+
+  // Wingmen with "formation": { "leader", "right_m", "back_m", "up_m", "until" }
+  // fly the leader's path at that offset from its heading. Their own path
+  // points after `until` take over from there, so a wingman can break off.
+  function expandFormations(m){
+    const byId = new Map((m.aircraft || []).map(ac => [ac.id, ac]));
+    const done = new Set();
+    const expand = (ac, seen) => {
+      const f = ac.formation;
+      if (!f || done.has(ac.id)) return;
+      done.add(ac.id);
+      const lead = byId.get(f.leader);
+      if (!lead || seen.has(lead.id)) return; // validation reports these
+      expand(lead, new Set([...seen, ac.id]));
+      if (!Array.isArray(lead.path) || !lead.path.length) return;
+
+      const mode = interpModeFor(lead, m);
+      const t0 = lead.path[0].t;
+      const t1 = Math.min(lead.path[lead.path.length-1].t, f.until ?? Infinity);
+      const path = [];
+      for (let tt = t0; tt <= t1; tt = tt < t1 ? Math.min(tt + FORMATION_STEP_S, t1) : Infinity){
+        const p = flightData(lead.path, tt, mode);
+        const q = destPoint(destPoint(p, p.hdg + 90, f.right_m || 0), p.hdg + 180, f.back_m || 0);
+        const pt = { t: Math.round(tt * 10) / 10, lat: round6(q.lat), lng: round6(q.lng) };
+        if (p.alt != null) pt.alt = Math.round(p.alt + (f.up_m || 0));
+        path.push(pt);
+      }
+      const own = f.until != null && Array.isArray(ac.path) ? ac.path.filter(p => p.t > f.until) : [];
+      ac.path = [...path, ...own];
+    };
+    for (const ac of m.aircraft || []) expand(ac, new Set());
+  }
+
+  // Side / group legend on the map panel: click a group to hide it, S to
+  // solo it, H to highlight it. Applies to the map, radar and renders.
+  function renderLegend(){
+    elLegend.innerHTML = [...forces.groups.values()].map(g => {
+      const side = forces.sides.get(g.side);
+      const color = g.color || side?.color;
+      const off = viewAlpha({ group: g.id, side: g.side }) === 0;
+      const cls = ["legendItem", off && "legendOff", groupView.solo === g.id && "legendSolo",
+        groupView.focus === g.id && "legendFocus"].filter(Boolean).join(" ");
+      return `<span class="${cls}" data-group="${escapeHtml(g.id)}" style="--side:${escapeHtml(color)}">
+        <button class="legendName" type="button" data-act="hide" title="${escapeHtml(side?.label || g.side)}: show / hide">
+          <span class="legendIcon">${escapeHtml(g.icon || side?.icon || DEFAULT_ICON)}</span>${escapeHtml(g.label)}
+          <span class="legendCount">${g.members.length}</span></button>
+        <button class="legendBtn" type="button" data-act="solo" title="Solo this group">S</button>
+        <button class="legendBtn" type="button" data-act="focus" title="Highlight this group">H</button>
+      </span>`;
+    }).join("");
+  }
+
+  function onLegendClick(e){
+    const btn = e.target.closest("button[data-act]");
+    const id = btn?.closest(".legendItem")?.dataset.group;
+    if (!id) return;
+    const act = btn.dataset.act;
+    if (act === "solo"){
+      groupView.solo = groupView.solo === id ? null : id;
+    }else if (act === "focus"){
+      groupView.focus = groupView.focus === id ? null : id;
+    }else if (groupView.solo){
+      groupView.solo = null;
+    }else if (groupView.hidden.has(id)){
+      groupView.hidden.delete(id);
+    }else{
+      groupView.hidden.add(id);
+    }
+    applyGroupView();
+  }
+
+  function applyGroupView(){
+    renderLegend();
+    highlightSelection();
+    if (MISSION) renderFrame(t);
+  }
+
+  // -------- Aircraft lifecycle
+  // Each aircraft's life is a list of { t, state } steps built once per
+  // mission from its path and events; lifeAt() reads it off the clock, so
+  // seeks, reverse play and offline renders all agree.
+  //   staged     before its first waypoint (or takeoff event), parked at the start
+  //   airborne   flying its path
+  //   damaged    hit by a damage event, still flying
+  //   bailed     crew out (bailout event); the aircraft goes down with nobody aboard
+  //   crashing   descending from the kill / bailout point to its impact
+  //   destroyed  on the ground at the impact point
+  //   landed     landing event, or a path that ends near the ground
+  //   exited     path ends in the air before the mission does: left the area
+  const LIFE_LABELS = {
+    staged: "STAGED", airborne: "AIRBORNE", damaged: "DAMAGED", bailed: "BAILED OUT",
+    crashing: "CRASHING", destroyed: "DESTROYED", landed: "LANDED", exited: "EXITED"
+  };
+  const CRASH_MATCH_S = 60;   // an impact this soon after going down is where it hit
+  const CRASH_FALL_S = 12;    // descent time when no impact is scripted
+  const CRASH_GLIDE_M = 1500; // and how far it carries along its heading
+  const CRASH_MIN_FALL_S = 2; // an impact sooner than this marks where it falls, not how long it takes
+  const LANDED_ALT_M = 30;
+
+  const NO_LIFE = { steps: [], start: -Infinity, downAt: Infinity, holdAt: null, descent: null };
+
+  function buildLifecycles(){
+    const evs = [...(MISSION?.events || [])].sort((a, b) => a.t - b.t);
+    const firstEvent = (id, effect, who = ev => ev.actor) =>
+      evs.find(ev => eventType(ev.type).effect === effect && who(ev) === id);
+    const impacts = evs.filter(ev => eventType(ev.type).effect === "impact" &&
+      typeof ev.lat === "number" && typeof ev.lng === "number");
+    const claimed = new Set();
+    const dur = missionDuration();
+
+    // whoever goes down first claims the nearest-in-time impact
+    const order = [...aircraftState.values()].sort((a, b) =>
+      (deathTimes.get(a.cfg.id) ?? Infinity) - (deathTimes.get(b.cfg.id) ?? Infinity));
+    for (const st of order){
+      const id = st.cfg.id, path = st.cfg.path;
+      if (!path?.length){ st.life = NO_LIFE; continue; }
+      const steps = [];
+      const takeoff = firstEvent(id, "takeoff");
+      const start = takeoff ? takeoff.t : path[0].t;
+      steps.push({ t: -Infinity, state: start > 0 ? "staged" : "airborne" });
+      if (start > 0) steps.push({ t: start, state: "airborne" });
+
+      const damage = firstEvent(id, "smoke", ev => ev.target || ev.actor);
+      if (damage) steps.push({ t: damage.t, state: "damaged" });
+
+      const killT = deathTimes.get(id);
+      const bail = firstEvent(id, "parachute");
+      const landing = firstEvent(id, "landing");
+      const life = { steps, start, downAt: Infinity, holdAt: null, descent: null };
+
+      const t0 = Math.min(killT ?? Infinity, bail?.t ?? Infinity);
+      if (Number.isFinite(t0)){
+        const from = flightData(path, t0, st.interp);
+        const impact = impacts.find(ev => !claimed.has(ev) && ev.t >= t0 && (ev.actor === id || ev.target === id)) ||
+          impacts.find(ev => !claimed.has(ev) && !ev.actor && !ev.target && ev.t >= t0 && ev.t - t0 <= CRASH_MATCH_S);
+        if (impact) claimed.add(impact);
+        const to = impact ? { lat: impact.lat, lng: impact.lng } : destPoint(from, from.hdg || 0, CRASH_GLIDE_M);
+        // an impact right on the kill still marks the spot; the fall just takes the usual time
+        const t1 = impact && impact.t - t0 >= CRASH_MIN_FALL_S ? impact.t : t0 + CRASH_FALL_S;
+        life.descent = { t0, t1, from, to };
+        life.downAt = t0;
+        steps.push({ t: t0, state: t0 === killT ? "crashing" : "bailed" });
+        if (bail && killT != null && bail.t > killT && bail.t < t1) steps.push({ t: bail.t, state: "bailed" });
+        steps.push({ t: t1, state: "destroyed" });
+      }else{
+        const last = path[path.length-1];
+        const endT = landing ? landing.t : last.t < dur ? last.t : null;
+        if (endT != null){
+          const low = landing || (typeof last.alt === "number" && last.alt <= LANDED_ALT_M);
+          steps.push({ t: endT, state: low ? "landed" : "exited" });
+          life.downAt = life.holdAt = endT;
+        }
+      }
+      steps.sort((a, b) => a.t - b.t);
+      st.life = life;
+    }
+  }
+
+  // { state, pos } at `now`; pos is flightData-shaped
+  function lifeAt(st, now){
+    const life = st.life || NO_LIFE;
+    let state = "airborne";
+    for (const step of life.steps){
+      if (step.t > now) break;
+      state = step.state;
+    }
+    const d = life.descent;
+    if (d && now >= d.t0){
+      // steepening dive onto the impact point
+      const k = clamp((now - d.t0) / Math.max(d.t1 - d.t0, 1e-3), 0, 1);
+      const hdg = distM(d.from, d.to) > 1 ? bearingDeg(d.from, d.to) : d.from.hdg;
+      return { state, pos: {
+        ...d.from,
+        lat: d.from.lat + (d.to.lat - d.from.lat) * k,
+        lng: d.from.lng + (d.to.lng - d.from.lng) * k,
+        alt: d.from.alt != null ? d.from.alt * (1 - k * k) : null,
+        hdg
+      } };
+    }
+    const tt = state === "staged" ? st.cfg.path[0].t : life.holdAt != null ? Math.min(now, life.holdAt) : now;
+    return { state, pos: flightData(st.cfg.path, tt, st.interp) };
+  }
+
+  // Moves the marker and label to `now` and records state / dead / lastPos
+  function placeAircraft(st, now){
+    const { state, pos } = lifeAt(st, now);
+    if (!pos) return null;
+    st.state = state;
+    st.dead = now >= (st.life || NO_LIFE).downAt; // out of the fight: no trail, cone or camera
+    st.lastPos = pos;
+    st.marker.setLatLng([pos.lat, pos.lng]);
+    st.label.setLatLng([pos.lat, pos.lng]);
+    const node = st.marker.getElement();
+    if (node) node.dataset.life = state;
+    updateDescentLine(st, now);
+    return pos;
+  }
+
+  // red dashed fall line from where it went down to where it is now
+  function updateDescentLine(st, now){
+    const d = st.life?.descent;
+    if (!d || now < d.t0){
+      st.descentLine?.setLatLngs([]);
+      return;
+    }
+    if (!st.descentLine){
+      st.descentLine = L.polyline([], {
+        color: "#ff3b6b", weight: 2, opacity: 0.8, dashArray: "3 6", interactive: false
+      }).addTo(map);
+    }
+    st.descentLine.setLatLngs([[d.from.lat, d.from.lng], [st.lastPos.lat, st.lastPos.lng]]);
+  }
+
+  // -------- Leaflet map
+  let map;
+  let fxLayer; // one-shot effects (bursts, impacts, flak, chutes), cleared with the mission
+  let aircraftState = new Map(); // id -> { cfg, marker, label, trailLine, trailPts, dead, lastPos }
+  let selectedId = null;
+
+  function makePlaneIcon(ac){
+    const { color, icon } = styleOf(ac);
+    const wrap = document.createElement("div");
+    wrap.className = "planeIcon";
+    wrap.style.setProperty("--side", color);
+    const span = document.createElement("span");
+    span.className = "planeGlyph";
+    span.textContent = icon;
+    wrap.appendChild(span);
+    return L.divIcon({
+      className: "",
+      html: wrap.outerHTML,
+      iconSize: [28,28],
+      iconAnchor: [14,14],
+    });
+  }
+
+  // Compare mode's "B" aircraft: hollow, dashed, see-through
+  function makeGhostIcon(ac){
+    const { color, icon } = styleOf(ac);
+    const wrap = document.createElement("div");
+    wrap.className = "planeIcon planeGhost";
+    wrap.style.setProperty("--side", color);
+    const span = document.createElement("span");
+    span.className = "planeGlyph";
+    span.textContent = icon;
+    wrap.appendChild(span);
+    return L.divIcon({
+      className: "",
+      html: wrap.outerHTML,
+      iconSize: [28,28],
+      iconAnchor: [14,14],
+    });
+  }
+
+  function makeLabelIcon(text){
+    const wrap = document.createElement("div");
+    wrap.className = "planeLabel";
+    wrap.textContent = text;
+    return L.divIcon({
+      className: "",
+      html: wrap.outerHTML,
+      iconSize: null
+    });
+  }
+
+  // Basemap: ?tiles=<url template> points at any XYZ source, e.g. a local
+  // folder unpacked from MBTiles (add &tms=1 when its rows are TMS-ordered);
+  // ?tiles=none shows only the canvas grid, which also sits under every
+  // tile layer so a dead network still leaves a readable map.
+  const DEFAULT_TILES = "https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png";
+  const GRID_STEPS = [10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01, 0.005, 0.002, 0.001];
+  const GRID_MIN_PX = 90; // graticule spacing on screen
+
+  function tileConfig(){
+    const q = new URLSearchParams(location.search);
+    const url = q.get("tiles") || DEFAULT_TILES;
+    return { url: url === "none" ? null : url, tms: q.get("tms") === "1", custom: q.has("tiles") };
+  }
+
+  function drawGridTile(tile, coords){
+    const z = coords.z;
+    const size = tile.width;
+    const ctx = tile.getContext("2d");
+    const nw = coords.scaleBy(L.point(size, size));
+    const toPx = (lat, lng) => map.project([lat, lng], z).subtract(nw);
+    const a = map.unproject(nw, z), b = map.unproject(nw.add([size, size]), z);
+
+    ctx.fillStyle = "#14062a";
+    ctx.fillRect(0, 0, size, size);
+
+    // finest step that keeps lines GRID_MIN_PX apart at this zoom
+    const degPx = size * Math.pow(2, z) / 360;
+    const step = [...GRID_STEPS].reverse().find(s => s * degPx >= GRID_MIN_PX) || GRID_STEPS[0];
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    ctx.strokeStyle = "rgba(139,91,255,.35)";
+    ctx.fillStyle = "rgba(255,247,255,.45)";
+    ctx.lineWidth = 1;
+    ctx.font = "10px ui-monospace, monospace";
+
+    for (let lng = Math.ceil(a.lng / step) * step; lng <= b.lng; lng += step){
+      const x = Math.round(toPx(a.lat, lng).x) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, size);
+      ctx.stroke();
+      ctx.fillText(`${lng.toFixed(decimals)}°`, x + 3, 12);
+    }
+    for (let lat = Math.ceil(b.lat / step) * step; lat <= a.lat; lat += step){
+      const y = Math.round(toPx(lat, a.lng).y) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(size, y);
+      ctx.stroke();
+      ctx.fillText(`${lat.toFixed(decimals)}°`, 3, y - 3);
+    }
+  }
+
+  // The Leaflet map itself is created once; mission layers come and go
+  // through initMap()/teardownMission().
+  function createMap(c){
+    map = L.map("map", {
+      zoomControl: true,
+      preferCanvas: true
+    }).setView([c.lat, c.lng], 13);
+
+    // grabbing the map hands the camera back to the user
+    map.on("dragstart", () => setCameraMode("off"));
+
+    // canvas grid underneath: the whole basemap when tiles are off or unreachable
+    const GridBase = L.GridLayer.extend({
+      createTile(coords){
+        const tile = document.createElement("canvas");
+        const size = this.getTileSize();
+        tile.width = size.x;
+        tile.height = size.y;
+        drawGridTile(tile, coords);
+        return tile;
+      }
+    });
+    new GridBase({ className: "gridBase", maxZoom: 20, zIndex: 0 }).addTo(map);
+
+    const tiles = tileConfig();
+    if (tiles.url){
+      const layer = L.tileLayer(tiles.url, {
+        subdomains: "abcd",
+        maxZoom: 20,
+        tms: tiles.tms,
+        zIndex: 1,
+        crossOrigin: "anonymous" // lets the offline renderer composite tiles without tainting
+      }).addTo(map);
+
+      // say so once if nothing at all comes back
+      let loaded = 0, failed = 0;
+      layer.on("tileload", () => { loaded++; });
+      layer.on("tileerror", () => {
+        if (++failed === 8 && !loaded){
+          pushLog({type:"note", text:`Basemap unreachable (${tiles.custom ? "check ?tiles=" : "offline?"}); showing the grid.`}, t, true);
+        }
+      });
+    }
+// Soft neon tint overlay
+    map.createPane("tint");
+    const tint = L.rectangle(map.getBounds(), {
+      pane: "tint",
+      interactive: false,
+      color: "rgba(255,0,184,.08)",
+      weight: 0,
+      fillOpacity: 0.12
+    }).addTo(map);
+    map.on("moveend", () => tint.setBounds(map.getBounds()));
+
+    fxLayer = L.layerGroup().addTo(map);
+  }
+
+  // every map layer an aircraft's state entry may own
+  function removeAircraftLayers(st){
+    for (const layer of [st.marker, st.label, st.routeAllLine, st.trailLine, st.cone, st.smokeLine, st.descentLine]){
+      if (layer) map.removeLayer(layer);
+    }
+  }
+
+  function teardownMission(){
+    if (!map) return;
+    for (const st of aircraftState.values()) removeAircraftLayers(st);
+    aircraftState.clear();
+    fxLayer.clearLayers();
+    selectedId = null;
+  }
+
+  function initMap(mission){
+    const c = mission.center || {lat: 51.505, lng: -0.09};
+
+    if (!map) createMap(c);
+    else map.setView([c.lat, c.lng], 13);
+
+    // Aircraft markers
+    // Fit to all tracks so nothing drifts off-screen
+    const allBounds = L.latLngBounds([]);
+    for (const ac0 of mission.aircraft || []){
+      for (const pt of (ac0.path || [])) allBounds.extend([pt.lat, pt.lng]);
+    }
+
+    for (const ac of mission.aircraft || []) addAircraftLayers(ac, mission);
+
+    // lock view to mission extent (slight padding)
+    if (allBounds.isValid()){
+      map.fitBounds(allBounds.pad(0.18));
+    }
+  }
+
+  // Marker, label, dashed route and trail for one aircraft (also used by the editor)
+  function addAircraftLayers(ac, mission=MISSION){
+    const c = mission.center || {lat: 51.505, lng: -0.09};
+    const interp = interpModeFor(ac, mission);
+    const pos = flightData(ac.path, 0, interp) || {lat: c.lat, lng: c.lng, hdg: 0};
+    const marker = L.marker([pos.lat, pos.lng], {
+      icon: makePlaneIcon(ac),
+      keyboard: false
+    }).addTo(map);
+
+    marker.on("click", () => selectAircraft(ac.id));
+
+    const label = L.marker([pos.lat, pos.lng], {
+      icon: makeLabelIcon(ac.callsign),
+      interactive: false,
+      keyboard: false
+    }).addTo(map);
+
+    // Full route (flight-history style) + progress route (so-far)
+    const samples = routeSamples(ac.path, interp);
+    const routeAllPts = samples.map(p => [p.lat, p.lng]);
+
+    const { color } = styleOf(ac);
+    const routeAllLine = L.polyline(routeAllPts, {
+      color,
+      weight: 2,
+      opacity: 0.18,
+      dashArray: "6 10",
+      lineCap: "round",
+      lineJoin: "round"
+    }).addTo(map);
+
+    const trailLine = L.polyline([], {
+      color,
+      weight: 4,
+      opacity: 0.55,
+      lineCap: "round",
+      lineJoin: "round"
+    }).addTo(map);
+
+    const cone = makeCone(ac);
+
+    aircraftState.set(ac.id, {
+      cfg: ac,
+      marker,
+      label,
+      // Full (dashed) route + traveled route
+      routeAllLine,
+      routeAllPts,
+      samples,
+      interp,
+      trailLine,
+      cone,
+      trailPts: [],
+      pathIdx: 0, // index into samples for appending new route points
+      dead: false,
+      lastPos: pos
+    });
+  }
+
+  // The selected track draws brighter and heavier than the rest
+  function routeStyle(id){
+    const sel = id === selectedId;
+    const a = viewAlpha(aircraftState.get(id).cfg);
+    return {
+      route: { opacity: (sel ? 0.45 : 0.18) * a, weight: sel ? 3 : 2 },
+      trail: { opacity: (sel ? 0.9 : 0.62) * a, weight: sel ? 5 : 4 }
+    };
+  }
+
+  function highlightSelection(){
+    for (const [id, st] of aircraftState.entries()){
+      st.marker.getElement()?.querySelector(".planeIcon")?.classList.toggle("planeSelected", id === selectedId);
+      if (st.dead || !elTrails.checked) continue;
+      const { route, trail } = routeStyle(id);
+      st.routeAllLine.setStyle(route);
+      st.trailLine.setStyle(trail);
+    }
+  }
+
+  function selectAircraft(id){
+    selectedId = id;
+    cameraAimedAt = 0;
+    const st = aircraftState.get(id);
+    highlightSelection();
+    if (!running) redrawRadar();
+    if (!st) return;
+    if (editing && elEdAircraft.value !== id){
+      elEdAircraft.value = id;
+      editPointIdx = null;
+      refreshEditor();
+    }
+    elActiveChip.textContent = `ACTIVE: ${st.cfg.callsign}`;
+    elStatSel.textContent = `${st.cfg.callsign} (${st.cfg.side})`;
+  }
+
+
+  // -------- Camera director
+  // Modes: off, chase (selected aircraft), fit (all live tracks), engage
+  // (the latest engagement's actor + target), auto (fit all, cutting to each
+  // engagement/kill pair as it fires) and script (MISSION.camera keyframes).
+  //
+  // Keyframes: { t, lat, lng, zoom } | { t, follow: id, zoom } | { t, fit: [ids] }.
+  // The view blends from one keyframe into the next; `cut: true` jumps instead.
+  const CAMERA_MODES = ["off", "chase", "fit", "engage", "auto", "script"];
+  const CAMERA_INTERVAL_MS = 650; // live modes re-aim at most this often
+  const CHASE_ZOOM = 15;
+  const AUTO_HOLD_S = 6; // replay seconds the director stays on a pair
+  const FRAME_PAD = 0.35;
+  let cameraMode = "off";
+  let cameraAimedAt = 0;
+  let cameraKeys = []; // MISSION.camera, sorted by t
+
+  function setCameraMode(mode){
+    cameraMode = CAMERA_MODES.includes(mode) ? mode : "off";
+    elCameraMode.value = cameraMode;
+    cameraAimedAt = 0;
+    if (MISSION) updateCamera(t);
+  }
+
+  function buildCameraKeys(){
+    cameraKeys = (Array.isArray(MISSION?.camera) ? MISSION.camera : [])
+      .filter(k => k && typeof k.t === "number")
+      .sort((a, b) => a.t - b.t);
+    // authored moves play by default unless another mode is already chosen
+    if (cameraKeys.length && cameraMode === "off") setCameraMode("script");
+    if (!cameraKeys.length && cameraMode === "script") setCameraMode("off");
+  }
+
+  function livePos(id){
+    const st = aircraftState.get(id);
+    return st && !st.dead && st.lastPos ? L.latLng(st.lastPos.lat, st.lastPos.lng) : null;
+  }
+
+  // dead aircraft stay framable where they went down
+  function trackPos(id){
+    const st = aircraftState.get(id);
+    return st?.lastPos ? L.latLng(st.lastPos.lat, st.lastPos.lng) : null;
+  }
+
+  // center/zoom framing a set of points; a single point gets chase zoom
+  function frameView(pts){
+    if (!pts.length) return null;
+    if (pts.length === 1) return { center: pts[0], zoom: Math.max(map.getZoom(), CHASE_ZOOM) };
+    const b = L.latLngBounds(pts).pad(FRAME_PAD);
+    return { center: b.getCenter(), zoom: Math.min(map.getBoundsZoom(b), CHASE_ZOOM) };
+  }
+
+  function fitAllView(){
+    return frameView([...aircraftState.keys()].map(livePos).filter(Boolean));
+  }
+
+  function chaseView(){
+    const p = selectedId ? livePos(selectedId) : null;
+    return p ? { center: p, zoom: Math.max(map.getZoom(), CHASE_ZOOM) } : fitAllView();
+  }
+
+  function pairView(ev){
+    return frameView([ev.actor, ev.target].map(trackPos).filter(Boolean));
+  }
+
+  // latest engagement/kill at or before `now`, no older than `within` seconds
+  function currentEngagement(now, within=Infinity){
+    let best = null;
+    for (const ev of MISSION?.events || []){
+      if (!eventType(ev.type).duel) continue;
+      if (ev.t > now || now - ev.t > within) continue;
+      if (!best || ev.t >= best.t) best = ev;
+    }
+    return best;
+  }
+
+  function keyframeView(k){
+    const zoom = typeof k.zoom === "number" ? k.zoom : map.getZoom();
+    if (k.follow){
+      const p = trackPos(k.follow);
+      return p ? { center: p, zoom } : null;
+    }
+    if (Array.isArray(k.fit)){
+      const v = frameView(k.fit.map(trackPos).filter(Boolean));
+      if (v && typeof k.zoom === "number") v.zoom = k.zoom;
+      return v;
+    }
+    if (typeof k.lat === "number" && typeof k.lng === "number") return { center: L.latLng(k.lat, k.lng), zoom };
+    return typeof k.zoom === "number" ? { center: map.getCenter(), zoom } : null;
+  }
+
+  function scriptView(now){
+    if (!cameraKeys.length) return null;
+    let i = -1;
+    while (i + 1 < cameraKeys.length && cameraKeys[i+1].t <= now) i++;
+    if (i < 0) return keyframeView(cameraKeys[0]); // hold the first shot until it starts
+
+    const a = cameraKeys[i], b = cameraKeys[i+1];
+    const va = keyframeView(a);
+    if (!b || b.cut) return va;
+    const vb = keyframeView(b);
+    if (!va || !vb) return va || vb;
+
+    const u0 = (now - a.t) / (b.t - a.t);
+    const u = u0 * u0 * (3 - 2 * u0); // ease in/out
+    return {
+      center: L.latLng(va.center.lat + (vb.center.lat - va.center.lat) * u, va.center.lng + (vb.center.lng - va.center.lng) * u),
+      zoom: va.zoom + (vb.zoom - va.zoom) * u
+    };
+  }
+
+  function updateCamera(now){
+    if (!map || cameraMode === "off") return;
+
+    // scripted moves are a function of replay time: place the view every frame
+    if (cameraMode === "script"){
+      const v = scriptView(now);
+      if (v) setViewExact(v.center, v.zoom, { animate: false });
+      return;
+    }
+
+    const nowMs = performance.now();
+    if (!rendering && nowMs - cameraAimedAt < CAMERA_INTERVAL_MS) return;
+    cameraAimedAt = nowMs;
+
+    let v = null;
+    if (cameraMode === "chase") v = chaseView();
+    else if (cameraMode === "fit") v = fitAllView();
+    else if (cameraMode === "engage"){
+      const ev = currentEngagement(now);
+      v = ev ? pairView(ev) : fitAllView();
+    }else if (cameraMode === "auto"){
+      const ev = currentEngagement(now, AUTO_HOLD_S);
+      v = ev ? pairView(ev) : fitAllView();
+    }
+    if (v) setViewExact(v.center, v.zoom, { animate: !rendering, duration: 0.85 });
+  }
+
+  // Fractional zoom for the director's own moves only (scripted blends stay
+  // smooth); wheel / pinch zoom keeps Leaflet's snap so tiles stay sharp.
+  function setViewExact(center, zoom, opts){
+    const snap = map.options.zoomSnap;
+    map.options.zoomSnap = 0;
+    try{
+      map.setView(center, zoom, opts);
+    }finally{
+      map.options.zoomSnap = snap;
+    }
+  }
+
+  // Auto director: hard cut (no pan) to the pair when an engagement/kill fires
+  function directorCut(ev){
+    if (cameraMode !== "auto" || !map) return;
+    const v = pairView(ev);
+    if (!v) return;
+    setViewExact(v.center, v.zoom, { animate: false });
+    cameraAimedAt = performance.now();
+  }
+
+  // -------- Weapons geometry
+  // Gun envelopes (range + field of view per aircraft: gun_range_m, fov_deg),
+  // closest-point-of-approach between opposing pairs, and the derived
+  // "proximity" timeline entries merged with the scripted events.
+  const GUN_RANGE_M = 400;
+  const GUN_FOV_DEG = 30;
+  const CPA_STEP_S = 0.25;
+  const PROXIMITY_ALERT_M = 1000; // CPAs closer than this get a timeline entry
+  const ENGAGE_FAR_FACTOR = 3; // scripted fire beyond this x gun range is flagged
+
+  const gunRange = ac => (typeof ac.gun_range_m === "number" && ac.gun_range_m > 0) ? ac.gun_range_m : GUN_RANGE_M;
+  const gunFov = ac => (typeof ac.fov_deg === "number" && ac.fov_deg > 0) ? Math.min(ac.fov_deg, 360) : GUN_FOV_DEG;
+
+  let replayEvents = []; // MISSION.events + derived proximity alerts, by t
+
+  // Every local minimum of separation under PROXIMITY_ALERT_M for each
+  // hostile pair, while both paths are running and neither is shot down.
+  function closestApproaches(mission=MISSION){
+    const out = [];
+    const acs = mission.aircraft || [];
+    for (const [i, a] of acs.entries()){
+      for (const b of acs.slice(i + 1)){
+        if (!hostile(a, b) || !a.path.length || !b.path.length) continue;
+        const ma = interpModeFor(a, mission), mb = interpModeFor(b, mission);
+        const t0 = Math.max(a.path[0].t, b.path[0].t);
+        const t1 = Math.min(a.path[a.path.length-1].t, b.path[b.path.length-1].t,
+          deathTimes.get(a.id) ?? Infinity, deathTimes.get(b.id) ?? Infinity);
+        const sep = tt => distM(interpPath(a.path, tt, ma), interpPath(b.path, tt, mb));
+
+        let prev = Infinity, falling = true;
+        for (let tt = t0; tt <= t1 + 1e-9; tt += CPA_STEP_S){
+          const d = sep(tt);
+          if (d > prev && falling && prev < PROXIMITY_ALERT_M){
+            out.push({ t: Math.round((tt - CPA_STEP_S) * 10) / 10, a, b, d: prev });
+          }
+          falling = d <= prev;
+          prev = d;
+        }
+      }
+    }
+    return out.sort((x, y) => x.t - y.t);
+  }
+
+  function buildReplayEvents(){
+    const alerts = closestApproaches().map(c => ({
+      t: c.t,
+      type: "proximity",
+      actor: c.a.id,
+      target: c.b.id,
+      text: `CPA ${c.a.callsign} / ${c.b.callsign}: ${Math.round(c.d)} m`,
+      derived: true
+    }));
+    replayEvents = [...(MISSION.events || []), ...alerts].sort((x, y) => x.t - y.t);
+  }
+
+  function makeCone(ac){
+    const col = styleOf(ac).color;
+    return L.polygon([], {
+      color: col,
+      weight: 1,
+      opacity: 0.5,
+      fillColor: col,
+      fillOpacity: 0.08,
+      interactive: false
+    }).addTo(map);
+  }
+
+  // gun envelope: a sector along the heading
+  function conePoints(pos, ac){
+    const range = gunRange(ac), fov = gunFov(ac);
+    const pts = [[pos.lat, pos.lng]];
+    const n = 10;
+    for (let i = 0; i <= n; i++){
+      const q = destPoint(pos, pos.hdg - fov/2 + fov * i / n, range);
+      pts.push([q.lat, q.lng]);
+    }
+    return pts;
+  }
+
+  function inEnvelope(st, other){
+    const p = st.lastPos, q = other.lastPos;
+    if (!p || !q || distM(p, q) > gunRange(st.cfg)) return false;
+    const off = ((bearingDeg(p, q) - p.hdg + 540) % 360) - 180;
+    return Math.abs(off) <= gunFov(st.cfg) / 2;
+  }
+
+  function updateCones(){
+    const show = !!elCones.checked;
+    for (const st of aircraftState.values()){
+      const a = viewAlpha(st.cfg);
+      if (!show || st.dead || !st.lastPos || !a){
+        st.cone.setLatLngs([]);
+        continue;
+      }
+      st.cone.setLatLngs(conePoints(st.lastPos, st.cfg));
+      // an opposing aircraft inside the envelope lights the cone up
+      let hot = false;
+      for (const o of aircraftState.values()){
+        if (o.dead || !hostile(o.cfg, st.cfg)) continue;
+        if (inEnvelope(st, o)){ hot = true; break; }
+      }
+      st.cone.setStyle({ fillOpacity: (hot ? 0.28 : 0.08) * a, opacity: (hot ? 0.9 : 0.5) * a });
+    }
+  }
+
+  // -------- Effects on map
+  // GSAP is optional (it may not load offline). Without it the same tweens
+  // run on the Web Animations API, or simply snap to their end state.
+  const FX_PROPS = { opacity: v => ({ opacity: v }), scale: v => ({ scale: String(v) }), y: v => ({ translate: `0 ${v}px` }) };
+
+  function fxKeyframe(vars){
+    return Object.assign({}, ...Object.entries(vars).filter(([k]) => FX_PROPS[k]).map(([k, v]) => FX_PROPS[k](v)));
+  }
+
+  function fxFromTo(el, from, to){
+    if (window.gsap) return gsap.fromTo(el, from, to);
+    fxRun(el, [fxKeyframe(from), fxKeyframe(to)], to);
+  }
+
+  function fxTo(el, to){
+    if (window.gsap) return gsap.to(el, to);
+    fxRun(el, [fxKeyframe(to)], to);
+  }
+
+  function fxRun(el, frames, to){
+    const ms = (to.duration ?? 0.5) * 1000;
+    if (el?.animate) el.animate(frames, { duration: ms, easing: "ease-out", fill: "forwards" });
+    if (to.onComplete) setTimeout(to.onComplete, ms);
+  }
+
+  function addImpact(lat, lng){
+    const m = L.marker([lat,lng], {
+      icon: L.divIcon({ className:"", html:`<div class="crash">💥</div>` }),
+      interactive: false
+    }).addTo(fxLayer);
+
+    fxFromTo(m.getElement(), {scale:0.6, opacity:0}, {scale:1.15, opacity:1, duration:0.18, ease:"power2.out"});
+    fxTo(m.getElement(), {scale:1.4, opacity:0, duration:1.4, ease:"power2.inOut", onComplete: ()=> fxLayer.removeLayer(m)});
+
+    // shock ring
+    const ring = L.circle([lat,lng], {
+      radius: 300,
+      color: "#ff00b8",
+      weight: 3,
+      opacity: 0.8,
+      fillOpacity: 0.10,
+      fillColor: "#ffe84a"
+    }).addTo(fxLayer);
+
+    const el = ring.getElement();
+    if (el){
+      fxFromTo(el, {opacity: 0.8}, {opacity:0, duration:1.5, ease:"power2.out", onComplete: ()=> fxLayer.removeLayer(ring)});
+    }else{
+      setTimeout(()=> fxLayer.removeLayer(ring), 1500);
+    }
+  }
+
+  function addGunBurst(lat, lng){
+    const m = L.marker([lat,lng], {
+      icon: L.divIcon({ className:"", html:`<div class="burst"></div>` }),
+      interactive: false
+    }).addTo(fxLayer);
+
+    const node = m.getElement();
+    if (node){
+      fxFromTo(node, {scale:0.8, opacity:0}, {scale:1.2, opacity:1, duration:0.12});
+      fxTo(node, {scale:1.8, opacity:0, duration:0.45, ease:"power2.out", onComplete: ()=> fxLayer.removeLayer(m)});
+    }else{
+      setTimeout(()=> fxLayer.removeLayer(m), 500);
+    }
+  }
+
+  function addParachute(lat, lng){
+    const m = L.marker([lat,lng], {
+      icon: L.divIcon({ className:"", html:`<div class="chute">🪂</div>` }),
+      interactive: false
+    }).addTo(fxLayer);
+    fxFromTo(m.getElement(), {y:-14, opacity:1}, {y:18, opacity:0, duration:3.2, ease:"sine.in", onComplete: ()=> fxLayer.removeLayer(m)});
+  }
+
+  // small one-shot glyph (takeoff / landing / radio) that grows and fades
+  function addFlash(lat, lng, cls, text=""){
+    const m = L.marker([lat,lng], {
+      icon: L.divIcon({ className:"", html:`<div class="fxFlash ${cls}">${text}</div>` }),
+      interactive: false
+    }).addTo(fxLayer);
+    fxFromTo(m.getElement(), {scale:0.6, opacity:1}, {scale:2.2, opacity:0, duration:1.2, ease:"power2.out", onComplete: ()=> fxLayer.removeLayer(m)});
+  }
+
+  // a few dark puffs scattered around the aim point
+  const FLAK_SPREAD_M = 350;
+
+  function addFlak(lat, lng){
+    for (let i = 0; i < 4; i++){
+      const p = destPoint({ lat, lng }, i * 97 + 20, FLAK_SPREAD_M * (0.3 + ((i * 37) % 10) / 14));
+      const m = L.marker([p.lat, p.lng], {
+        icon: L.divIcon({ className:"", html:`<div class="flak"></div>` }),
+        interactive: false
+      }).addTo(fxLayer);
+      setTimeout(()=>{
+        if (!fxLayer.hasLayer(m)) return; // mission changed in between
+        fxFromTo(m.getElement(), {scale:0.3, opacity:1}, {scale:1.6, opacity:0, duration:1.6, ease:"power1.out", onComplete: ()=> fxLayer.removeLayer(m)});
+      }, i * 180);
+    }
+  }
+
+  // Damaged aircraft stream smoke from the damage time onwards
+  const SMOKE_TRAIL_S = 20;
+
+  function updateSmoke(now){
+    for (const st of aircraftState.values()){
+      if (st.smokeFrom == null || now < st.smokeFrom){
+        st.smokeLine?.setLatLngs([]);
+        continue;
+      }
+      if (!st.smokeLine){
+        st.smokeLine = L.polyline([], {
+          color: "#c9c2d8", weight: 6, opacity: 0.35, dashArray: "1 10", lineCap: "round", interactive: false
+        }).addTo(map);
+      }
+      const end = Math.min(now, deathTimes.get(st.cfg.id) ?? now);
+      const pts = [];
+      for (let tt = Math.max(st.smokeFrom, end - SMOKE_TRAIL_S); tt < end; tt++){
+        const p = flightData(st.cfg.path, tt, st.interp);
+        if (p) pts.push([p.lat, p.lng]);
+      }
+      if (st.lastPos) pts.push([st.lastPos.lat, st.lastPos.lng]);
+      st.smokeLine.setLatLngs(pts);
+    }
+  }
+
+  // -------- Event types
+  // Every event type is one entry; a mission adds or overrides entries under
+  // "event_types": { "<type>": { ... } } using the same fields:
+  //   label    log / tick text (default: the type, upper-cased)
+  //   cls      log class (tContact, tEngage, tKill, tLoss, tNote, tProx, tRadio, tFlak)
+  //   color    CSS colour, for declared types that have no class
+  //   effect   one of EVENT_EFFECTS
+  //   sound    one of AUDIO_SOUNDS (an event can also carry its own `sound`, or an `audio` clip URL)
+  //   counter  counts[counter] goes up by one
+  //   blitz    weight toward the BLITZ meter (full at BLITZ_FULL)
+  //   duel     actor fires on target: needs a target, range-checked, camera cuts to it
+  //   downs    the target is shot down
+  //   at       the event needs its own lat / lng
+  const BLITZ_FULL = 60;
+  const EVENT_TYPES = {
+    contact:    { cls: "tContact" },
+    engagement: { cls: "tEngage", effect: "gunBurst", sound: "guns", counter: "engagements", blitz: 6, duel: true },
+    kill:       { cls: "tKill", effect: "gunBurst", sound: "guns", counter: "kills", blitz: 10, duel: true, downs: true },
+    impact:     { cls: "tKill", effect: "impact", sound: "blast", at: true },
+    loss:       { cls: "tLoss", counter: "losses", blitz: 8 },
+    proximity:  { cls: "tProx" },
+    damage:     { cls: "tEngage", effect: "smoke", counter: "damaged", blitz: 3 },
+    bailout:    { cls: "tLoss", effect: "parachute", counter: "bailouts", blitz: 4 },
+    flak:       { cls: "tFlak", effect: "flak", sound: "flak", counter: "flak", blitz: 2 },
+    radio:      { cls: "tRadio", effect: "radio" },
+    takeoff:    { cls: "tNote", effect: "takeoff", counter: "takeoffs" },
+    landing:    { cls: "tNote", effect: "landing", counter: "landings" },
+    note:       { cls: "tNote" },
+  };
+  let eventTypes = EVENT_TYPES; // built-ins + the running mission's event_types
+
+  // Effects get (ev, quiet); a quiet replay after a seek keeps their state
+  // (smoke) but skips the one-shot visuals.
+  const EVENT_EFFECTS = {
+    gunBurst(ev, quiet){
+      const p = aircraftState.get(ev.actor)?.lastPos;
+      if (p && !quiet) addGunBurst(p.lat, p.lng);
+    },
+    impact(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addImpact(p.lat, p.lng);
+    },
+    parachute(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addParachute(p.lat, p.lng);
+    },
+    // damage names the damaged aircraft as target, or as actor when alone
+    smoke(ev){
+      const st = aircraftState.get(ev.target || ev.actor);
+      if (st && (st.smokeFrom == null || ev.t < st.smokeFrom)) st.smokeFrom = ev.t;
+    },
+    flak(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addFlak(p.lat, p.lng);
+    },
+    radio(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addFlash(p.lat, p.lng, "fxRadio");
+    },
+    takeoff(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addFlash(p.lat, p.lng, "fxRunway", "▲");
+    },
+    landing(ev, quiet){
+      const p = eventPos(ev);
+      if (p && !quiet) addFlash(p.lat, p.lng, "fxRunway", "▼");
+    },
+  };
+
+  function mergeEventTypes(m){
+    const out = { ...EVENT_TYPES };
+    const declared = m?.event_types;
+    if (declared && typeof declared === "object" && !Array.isArray(declared)){
+      for (const [name, def] of Object.entries(declared)){
+        if (def && typeof def === "object") out[name] = { ...EVENT_TYPES[name], ...def };
+      }
+    }
+    return out;
+  }
+
+  function buildEventTypes(){
+    eventTypes = mergeEventTypes(MISSION);
+  }
+
+  // undeclared types behave like notes
+  function eventType(type){
+    return Object.hasOwn(eventTypes, type) ? eventTypes[type] : EVENT_TYPES.note;
+  }
+
+  function eventLabel(type){
+    return Object.hasOwn(eventTypes, type) && eventTypes[type].label
+      ? eventTypes[type].label
+      : String(type || "").toUpperCase();
+  }
+
+  // where an effect plays: the event's own lat/lng, else its actor
+  function eventPos(ev){
+    if (typeof ev.lat === "number" && typeof ev.lng === "number") return { lat: ev.lat, lng: ev.lng };
+    return aircraftState.get(ev.actor)?.lastPos || null;
+  }
+
+  // -------- Radar scope
+  const radar = $("#radar");
+  const rctx = radar.getContext("2d");
+  const RAD = { sweepDeg: 0 }; // beam bearing, 0 = north, clockwise
+  let __radarW = 0, __radarH = 0, __radarDPR = 1;
+  function resizeRadarCanvas(){
+    const stage = radar?.parentElement;
+    if (!stage) return;
+    const dpr = Math.max(1, Math.min(2.5, window.devicePixelRatio || 1));
+    const w = Math.max(1, Math.floor(stage.clientWidth));
+    const h = Math.max(1, Math.floor(stage.clientHeight));
+    if (w === __radarW && h === __radarH && dpr === __radarDPR) return;
+    __radarW = w; __radarH = h; __radarDPR = dpr;
+    radar.width = Math.floor(w * dpr);
+    radar.height = Math.floor(h * dpr);
+    // reset transform so draw coords are in CSS pixels
+    rctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+
+  // Radar site + scale. The site comes from MISSION.radar {lat, lng, units, range}
+  // and defaults to MISSION.center; the scope edge is `radarRange` in `radarUnits`.
+  const RADAR_UNITS = { km: 1000, nm: 1852 }; // metres per unit
+  const RADAR_SCOPE_K = 0.44; // scope radius as a fraction of the short side
+  let radarSite = { lat: 51.505, lng: -0.09 };
+  let radarRange = 20;
+  let radarUnits = "km";
+
+  // Sweep-driven detection, on the replay clock: the beam turns once per
+  // `period_s`; a contact is painted when the beam crosses it, only within
+  // `detect_range` (radar units) and with probability `pd`, then fades.
+  // range / units are the scope's own defaults, restored for missions that don't set them
+  const RADAR_DEFAULTS = { period_s: 10, detect_range: null, pd: 1, range: 20, units: "km" };
+  const BLIP_FADE_SCANS = 1.5; // a painted blip is gone after this many rotations
+  let radarScan = { period_s: RADAR_DEFAULTS.period_s, detect_range: RADAR_DEFAULTS.detect_range, pd: RADAR_DEFAULTS.pd };
+
+  function applyRadarConfig(mission){
+    const r = mission.radar || {};
+    const c = mission.center || {lat: 51.505, lng: -0.09};
+    radarSite = (typeof r.lat === "number" && typeof r.lng === "number") ? { lat: r.lat, lng: r.lng } : { lat: c.lat, lng: c.lng };
+    radarUnits = RADAR_UNITS[r.units] ? r.units : RADAR_DEFAULTS.units;
+    radarRange = typeof r.range === "number" && r.range > 0 ? r.range : RADAR_DEFAULTS.range;
+    radarView.zoom = 1;
+    radarView.ox = radarView.oy = 0;
+    radarScan = {
+      period_s: r.period_s > 0 ? r.period_s : RADAR_DEFAULTS.period_s,
+      detect_range: r.detect_range > 0 ? r.detect_range : RADAR_DEFAULTS.detect_range,
+      pd: (typeof r.pd === "number" && r.pd >= 0 && r.pd <= 1) ? r.pd : RADAR_DEFAULTS.pd
+    };
+    // drop the previous mission's unlisted range
+    for (const opt of elRadarRange.querySelectorAll("option[data-mission]")) opt.remove();
+    syncRadarControls();
+  }
+
+  function syncRadarControls(){
+    // a mission may ask for a range the selector doesn't list
+    if (![...elRadarRange.options].some(o => Number(o.value) === radarRange)){
+      const opt = document.createElement("option");
+      opt.value = String(radarRange);
+      opt.dataset.mission = "";
+      elRadarRange.appendChild(opt);
+    }
+    for (const opt of elRadarRange.options) opt.textContent = `RANGE ${opt.value} ${radarUnits.toUpperCase()}`;
+    elRadarRange.value = String(radarRange);
+    elRadarUnits.value = radarUnits;
+  }
+
+  function fmtRange(m){
+    const v = m / RADAR_UNITS[radarUnits];
+    return `${v < 10 ? v.toFixed(1) : Math.round(v)} ${radarUnits}`;
+  }
+
+  // Azimuthal equidistant projection about the radar site: true great-circle
+  // range and bearing, so rings and readouts mean real distances.
+  // dx east / dy north, in metres.
+  function latLngToRadar(lat, lng, site){
+    const p = { lat, lng };
+    const rangeM = distM(site, p);
+    const brg = bearingDeg(site, p);
+    return {
+      dx: rangeM * Math.sin(brg * RAD_PER_DEG),
+      dy: rangeM * Math.cos(brg * RAD_PER_DEG),
+      rangeM,
+      brg
+    };
+  }
+
+  function sweepBearing(now){
+    const turns = now / radarScan.period_s;
+    return (turns - Math.floor(turns)) * 360;
+  }
+
+  // Deterministic 0..1 roll per aircraft and rotation, so seeks, reverse
+  // playback and renders all paint the same passes.
+  function detectRoll(id, scan){
+    let h = 2166136261;
+    const str = `${id}:${scan}`;
+    for (let i = 0; i < str.length; i++){
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    // final avalanche so consecutive scans don't roll alike
+    h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  // Most recent pass that painted this aircraft at or before `now`:
+  // { age, pos, v } or null. Derived from the clock alone, so it needs no
+  // per-frame state and is the same at 1x, 30x, after a seek or in a render.
+  function lastPaint(st, now){
+    const P = radarScan.period_s;
+    const beam = sweepBearing(now);
+    const maxM = radarScan.detect_range != null ? radarScan.detect_range * RADAR_UNITS[radarUnits] : Infinity;
+    const downAt = (st.life || NO_LIFE).downAt;
+
+    // time since the beam last crossed the contact's bearing at `tt`
+    const ageAt = tt => {
+      const p = interpPath(st.cfg.path, tt, st.interp);
+      if (!p) return null;
+      const brg = latLngToRadar(p.lat, p.lng, radarSite).brg;
+      return ((beam - brg) % 360 + 360) % 360 / 360 * P;
+    };
+    let age = ageAt(now);
+    if (age == null) return null;
+    age = ageAt(now - age); // refine: where the contact was when the beam went by
+
+    for (let k = 0; age + k*P < P * BLIP_FADE_SCANS; k++){
+      const tp = now - age - k*P;
+      if (tp < 0) break;
+      if (tp >= downAt) continue; // wrecks (and landed / departed aircraft) keep their last paint
+      const pos = flightData(st.cfg.path, tp, st.interp);
+      const v = latLngToRadar(pos.lat, pos.lng, radarSite);
+      if (v.rangeM > maxM) continue;
+      if (detectRoll(st.cfg.id, Math.floor(tp / P)) >= radarScan.pd) continue;
+      return { age: age + k*P, pos, v };
+    }
+    return null;
+  }
+
+  // Scope view: wheel zoom about the cursor. ox/oy are the metres east/north
+  // of the radar site that sit at the middle of the canvas.
+  const radarView = { zoom: 1, ox: 0, oy: 0 };
+  const RADAR_ZOOM_MAX = 8;
+  const BLIP_HIT_PX = 14;
+  let radarHits = []; // { id, x, y, v, alt } for the blips painted last frame
+
+  // Canvas geometry for the current range/zoom: site position, scope edge radius, scale
+  function radarScale(W, H){
+    const rMax = Math.min(W,H)*RADAR_SCOPE_K;
+    const pxPerM = rMax * radarView.zoom / (radarRange * RADAR_UNITS[radarUnits]);
+    return {
+      cx: W/2 - radarView.ox * pxPerM,
+      cy: H/2 + radarView.oy * pxPerM,
+      R: rMax * radarView.zoom,
+      pxPerM
+    };
+  }
+
+  function drawRadarFrame(W, H){
+    const { cx, cy, R: rMax } = radarScale(W, H);
+    rctx.save();
+    // phosphor persistence fade
+    rctx.fillStyle = "rgba(0,0,0,0.12)";
+    rctx.fillRect(0,0,W,H);
+
+    rctx.strokeStyle = "rgba(40,215,255,0.18)";
+    rctx.lineWidth = 2;
+
+    for (let r = rMax*0.25; r <= rMax + 0.5; r += rMax*0.25){
+      rctx.beginPath();
+      rctx.arc(cx, cy, r, 0, Math.PI*2);
+      rctx.stroke();
+    }
+    rctx.beginPath();
+    rctx.moveTo(cx, 18); rctx.lineTo(cx, H-18);
+    rctx.moveTo(18, cy); rctx.lineTo(W-18, cy);
+    rctx.stroke();
+
+    // bearing ticks every 10 deg, labelled every 30 (0 = north, clockwise)
+    rctx.font = "11px ui-monospace, Menlo, Consolas, monospace";
+    rctx.textAlign = "center";
+    rctx.textBaseline = "middle";
+    for (let b = 0; b < 360; b += 10){
+      const a = (b - 90) * RAD_PER_DEG;
+      const len = b % 30 === 0 ? 10 : 5;
+      rctx.beginPath();
+      rctx.moveTo(cx + Math.cos(a)*rMax, cy + Math.sin(a)*rMax);
+      rctx.lineTo(cx + Math.cos(a)*(rMax - len), cy + Math.sin(a)*(rMax - len));
+      rctx.stroke();
+      if (b % 30 === 0){
+        const lbl = b === 0 ? "N" : b === 90 ? "E" : b === 180 ? "S" : b === 270 ? "W" : String(b).padStart(3, "0");
+        rctx.fillStyle = "rgba(40,215,255,0.55)";
+        rctx.fillText(lbl, cx + Math.cos(a)*(rMax - 20), cy + Math.sin(a)*(rMax - 20));
+      }
+    }
+
+    // ring ranges, along the north-east diagonal
+    rctx.textAlign = "left";
+    rctx.fillStyle = "rgba(255,247,255,0.45)";
+    for (let k = 1; k <= 4; k++){
+      const r = rMax * k / 4;
+      const v = Number((radarRange * k / 4).toFixed(2));
+      rctx.fillText(`${v} ${radarUnits}`, cx + r*Math.SQRT1_2 + 4, cy - r*Math.SQRT1_2 - 6);
+    }
+    rctx.restore();
+  }
+
+  function drawRadarSweep(W,H,now){
+    const { cx, cy, R: rMax } = radarScale(W, H);
+
+    RAD.sweepDeg = sweepBearing(now);
+    const a = (RAD.sweepDeg - 90) * RAD_PER_DEG;
+
+    const ex = cx + Math.cos(a)*rMax;
+    const ey = cy + Math.sin(a)*rMax;
+
+    rctx.strokeStyle = "rgba(255,0,184,0.62)";
+    rctx.lineWidth = 4;
+    rctx.beginPath();
+    rctx.moveTo(cx,cy);
+    rctx.lineTo(ex,ey);
+    rctx.stroke();
+
+    const cone = 0.20;
+    const g = rctx.createRadialGradient(cx,cy,0,cx,cy,rMax);
+    g.addColorStop(0,"rgba(255,0,184,0.10)");
+    g.addColorStop(1,"rgba(255,0,184,0)");
+    rctx.fillStyle = g;
+
+    rctx.beginPath();
+    rctx.arc(cx,cy,rMax, a-cone*2, a); // afterglow trails the beam
+    rctx.lineTo(cx,cy);
+    rctx.closePath();
+    rctx.fill();
+  }
+
+  function drawSelectionRing(x, y){
+    rctx.save();
+    rctx.strokeStyle = "rgba(255,232,74,0.9)";
+    rctx.lineWidth = 2;
+    rctx.setLineDash([4, 4]);
+    rctx.beginPath();
+    rctx.arc(x, y, BLIP_HIT_PX, 0, Math.PI*2);
+    rctx.stroke();
+    rctx.restore();
+  }
+
+  // Immediate redraw for scope interaction while paused, without phosphor smear
+  function redrawRadar(){
+    if (!MISSION) return;
+    rctx.clearRect(0, 0, __radarW, __radarH);
+    updateRadar(t);
+  }
+
+  // Nearest painted blip under a canvas point (CSS px), or null
+  function radarHitTest(x, y){
+    let best = null, bestD = BLIP_HIT_PX;
+    for (const h of radarHits){
+      const d = Math.hypot(h.x - x, h.y - y);
+      if (d <= bestD){ best = h; bestD = d; }
+    }
+    return best;
+  }
+
+  function radarPointer(e){
+    const r = radar.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  function zoomRadar(x, y, factor){
+    const W = __radarW, H = __radarH;
+    const before = radarScale(W, H);
+    // metres (east, north) under the cursor stay under the cursor
+    const east = (x - before.cx) / before.pxPerM;
+    const north = (before.cy - y) / before.pxPerM;
+
+    radarView.zoom = clamp(radarView.zoom * factor, 1, RADAR_ZOOM_MAX);
+    if (radarView.zoom === 1){
+      radarView.ox = radarView.oy = 0;
+    }else{
+      const { pxPerM } = radarScale(W, H); // scale doesn't depend on the offset
+      radarView.ox = east - (x - W/2) / pxPerM;
+      radarView.oy = north + (y - H/2) / pxPerM;
+    }
+    redrawRadar();
+  }
+
+  function groupLine(ac){
+    const side = forces.sides.get(ac.side)?.label || ac.side;
+    return ac.group ? `${side} • ${forces.groups.get(ac.group)?.label || ac.group}` : side;
+  }
+
+  function showRadarTip(hit, x, y){
+    if (!hit){
+      elRadarTip.hidden = true;
+      radar.style.cursor = "";
+      return;
+    }
+    const st = aircraftState.get(hit.id);
+    radar.style.cursor = "pointer";
+    elRadarTip.innerHTML = `<div class="tipHead">${escapeHtml(st.cfg.callsign)}</div>
+      <div>${escapeHtml(groupLine(st.cfg))}${st.state && st.state !== "airborne" ? ` • ${LIFE_LABELS[st.state]}` : ""}</div>
+      <div>BRG ${String(Math.round(hit.v.brg) % 360).padStart(3, "0")}° • RNG ${fmtRange(hit.v.rangeM)}</div>
+      ${hit.alt != null ? `<div>ALT ${Math.round(hit.alt).toLocaleString("en-GB")} m</div>` : ""}`;
+    elRadarTip.hidden = false;
+    elRadarTip.style.left = `${x + 14}px`;
+    elRadarTip.style.top = `${y + 14}px`;
+  }
+
+  function roundRect(ctx,x,y,w,h,r){
+    const rr = Math.min(r, w/2, h/2);
+    ctx.beginPath();
+    ctx.moveTo(x+rr,y);
+    ctx.arcTo(x+w,y,x+w,y+h,rr);
+    ctx.arcTo(x+w,y+h,x,y+h,rr);
+    ctx.arcTo(x,y+h,x,y,rr);
+    ctx.arcTo(x,y,x+w,y,rr);
+    ctx.closePath();
+  }
+
+  // altK: 0..1 altitude within the mission span (null = no altitude data);
+  // higher contacts paint larger and brighter
+  // fade: 1 just painted .. 0 gone
+  function drawBlip(x,y,color,txt,showLabel,dangerLabel,altK=null,fade=1){
+    rctx.save();
+    rctx.globalAlpha = fade;
+    const col = rgbOf(color);
+    const k = altK == null ? 0.5 : altK;
+    rctx.fillStyle = `rgba(${col},${(0.62 + 0.34*k).toFixed(2)})`;
+    rctx.beginPath();
+    rctx.arc(x,y,2.6 + 2.4*k,0,Math.PI*2);
+    rctx.fill();
+
+    rctx.fillStyle = `rgba(${col},${(0.08 + 0.12*k).toFixed(2)})`;
+    rctx.beginPath();
+    rctx.arc(x,y,7 + 6*k,0,Math.PI*2);
+    rctx.fill();
+
+    if (showLabel){
+      rctx.font = "14px ui-monospace, Menlo, Consolas, monospace";
+      const pad = 8;
+      const w = rctx.measureText(txt).width + pad*2;
+      const h = 22;
+      const lx = x + 10;
+      const ly = y - 26;
+
+      rctx.fillStyle = dangerLabel ? "rgba(60,0,18,0.55)" : "rgba(0,0,0,0.45)";
+      roundRect(rctx, lx, ly, w, h, 11);
+      rctx.fill();
+      rctx.strokeStyle = dangerLabel ? "rgba(255,0,0,0.65)" : "rgba(255,255,255,0.16)";
+      rctx.lineWidth = 2;
+      roundRect(rctx, lx, ly, w, h, 11);
+      rctx.stroke();
+
+      rctx.fillStyle = dangerLabel ? "rgba(255,80,120,0.95)" : "rgba(255,247,255,0.88)";
       rctx.fillText(txt, lx + pad, ly + 15);
     }
+    rctx.restore();
+  }
+
+  // -------- Audio
+  // Web Audio, synthesized on the fly so no sound files are needed. Each
+  // channel has its own gain into a master gain; sounds pan by their bearing
+  // from the radar site. Only forward playback makes noise: seeks replay
+  // history quietly and renders stay silent.
+  const AUDIO_CHANNELS = ["ping", "guns", "blast", "clips", "voice"];
+  const AUDIO_LEVELS = { master: 0.7, ping: 0.35, guns: 0.6, blast: 0.8, clips: 0.8, voice: 0.7 };
+  const PING_GAP_MS = 60;       // closer sweep pings merge into one
+  const SPEECH_MAX_RATE = 2;
+  let audio = null; // { ctx, master, bus: { channel: GainNode }, noise, clips: Map(url -> Promise<AudioBuffer>) }
+  let audioOn = false;
+  let lastPingMs = 0;
+  let radarPrevNow = null;
+
+  // Sounds an event type can name in its `sound` field. Each gets
+  // (pan -1..1, gain 0..1) and starts right away.
+  const AUDIO_SOUNDS = {
+    guns: (pan, gain) => gunfire(pan, gain),
+    blast: (pan, gain) => explosion(pan, gain, 1),
+    flak: (pan, gain) => explosion(pan, gain * 0.6, 0.35),
+  };
+
+  function audioSupported(){
+    return !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  // The context must be created (or resumed) from a user gesture
+  function setAudio(on){
+    audioOn = on && audioSupported();
+    elAudio.checked = audioOn;
+    elAudioMix.hidden = !audioOn;
+    if (audioOn && !audio){
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const master = ctx.createGain();
+      master.connect(ctx.destination);
+      const bus = {};
+      for (const ch of AUDIO_CHANNELS){
+        bus[ch] = ctx.createGain();
+        bus[ch].connect(master);
+      }
+      // one second of white noise, shared by every gun round and blast
+      const noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+      audio = { ctx, master, bus, noise, clips: new Map() };
+    }
+    if (audio){
+      if (audioOn) audio.ctx.resume();
+      applyAudioLevels();
+    }
+    if (!audioOn) window.speechSynthesis?.cancel();
+  }
+
+  function applyAudioLevels(){
+    if (!audio) return;
+    const now = audio.ctx.currentTime;
+    audio.master.gain.setTargetAtTime(audioOn ? AUDIO_LEVELS.master : 0, now, 0.02);
+    for (const ch of AUDIO_CHANNELS) audio.bus[ch].gain.setTargetAtTime(AUDIO_LEVELS[ch], now, 0.02);
+  }
+
+  function onAudioLevel(e){
+    const ch = e.target.dataset.channel;
+    if (!Object.hasOwn(AUDIO_LEVELS, ch)) return;
+    AUDIO_LEVELS[ch] = Number(e.target.value) / 100;
+    applyAudioLevels();
+  }
+
+  function audioLive(){
+    return audioOn && audio && running && !rendering && !scrubbing && speed > 0;
+  }
+
+  // Fast replays fire many more sounds per real second: thin them out
+  function speedDamp(){
+    return 1 / Math.sqrt(Math.max(1, Math.abs(speed) / 4));
+  }
+
+  // left/right from the bearing off the radar site, quieter toward the scope edge
+  function audioPlace(lat, lng){
+    const v = latLngToRadar(lat, lng, radarSite);
+    const maxM = radarRange * RADAR_UNITS[radarUnits];
+    return { pan: Math.sin(v.brg * RAD_PER_DEG), gain: 1 - 0.6 * clamp(v.rangeM / maxM, 0, 1) };
+  }
+
+  // source -> [filter] -> envelope gain -> panner -> channel bus
+  function voiceChain(channel, pan, filter=null){
+    const { ctx } = audio;
+    const env = ctx.createGain();
+    const panner = ctx.createStereoPanner();
+    panner.pan.value = clamp(pan, -1, 1);
+    if (filter) filter.connect(env);
+    env.connect(panner);
+    panner.connect(audio.bus[channel]);
+    return { input: filter || env, env };
+  }
+
+  function radarPing(pan, gain){
+    const { ctx } = audio;
+    const t0 = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    osc.frequency.setValueAtTime(1320, t0);
+    osc.frequency.exponentialRampToValueAtTime(990, t0 + 0.12);
+    const { input, env } = voiceChain("ping", pan);
+    env.gain.setValueAtTime(0.0001, t0);
+    env.gain.exponentialRampToValueAtTime(0.5 * gain, t0 + 0.005);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.18);
+    osc.connect(input);
+    osc.start(t0);
+    osc.stop(t0 + 0.2);
+  }
+
+  // a short Vickers-style rattle: band-passed noise clicks, fewer at high speed
+  function gunfire(pan, gain){
+    const { ctx } = audio;
+    const rounds = Math.round(clamp(14 * speedDamp(), 3, 14));
+    const filter = ctx.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.frequency.value = 1400;
+    filter.Q.value = 0.8;
+    const { input, env } = voiceChain("guns", pan, filter);
+    const t0 = ctx.currentTime;
+    env.gain.setValueAtTime(0, t0);
+    for (let i = 0; i < rounds; i++){
+      const at = t0 + i * 0.065;
+      const src = ctx.createBufferSource();
+      src.buffer = audio.noise;
+      src.connect(input);
+      src.start(at, Math.random() * 0.9, 0.04);
+      env.gain.setValueAtTime(0.9 * gain, at);
+      env.gain.exponentialRampToValueAtTime(0.001, at + 0.04);
+    }
+  }
+
+  // low-passed noise falling away under a sine thump; size 0..1 scales length and depth
+  function explosion(pan, gain, size){
+    const { ctx } = audio;
+    const t0 = ctx.currentTime;
+    const len = 0.4 + 1.4 * size;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.setValueAtTime(900 * (1.4 - size * 0.4), t0);
+    filter.frequency.exponentialRampToValueAtTime(60, t0 + len);
+    const { input, env } = voiceChain("blast", pan, filter);
+    env.gain.setValueAtTime(gain, t0);
+    env.gain.exponentialRampToValueAtTime(0.001, t0 + len);
+    const src = ctx.createBufferSource();
+    src.buffer = audio.noise;
+    src.loop = true;
+    src.connect(input);
+    src.start(t0);
+    src.stop(t0 + len);
+
+    const osc = ctx.createOscillator();
+    osc.frequency.setValueAtTime(70, t0);
+    osc.frequency.exponentialRampToValueAtTime(28, t0 + len * 0.6);
+    osc.connect(input);
+    osc.start(t0);
+    osc.stop(t0 + len * 0.6);
+  }
+
+  // mission clips are fetched and decoded once, then reused
+  function playClip(url, pan, gain){
+    let buf = audio.clips.get(url);
+    if (!buf){
+      buf = fetch(url)
+        .then(r => { if (!r.ok) throw new Error(`${url}: ${r.status}`); return r.arrayBuffer(); })
+        .then(data => audio.ctx.decodeAudioData(data));
+      buf.catch(err => console.warn("Audio clip failed:", err));
+      audio.clips.set(url, buf);
+    }
+    buf.then(b => {
+      if (!audioOn) return;
+      const src = audio.ctx.createBufferSource();
+      src.buffer = b;
+      const { input, env } = voiceChain("clips", pan);
+      env.gain.value = gain;
+      src.connect(input);
+      src.start();
+    }, ()=>{});
+  }
+
+  // the newest line wins: a backlog of speech would run behind the clock
+  function speak(text){
+    const synth = window.speechSynthesis;
+    if (!synth || !text || !AUDIO_LEVELS.voice) return;
+    if (synth.speaking || synth.pending) synth.cancel();
+    const u = new SpeechSynthesisUtterance(text);
+    u.rate = clamp(0.9 + Math.abs(speed) * 0.04, 0.9, SPEECH_MAX_RATE);
+    u.volume = AUDIO_LEVELS.master * AUDIO_LEVELS.voice;
+    synth.speak(u);
+  }
+
+  function playEventAudio(ev, type){
+    if (!audioLive()) return;
+    const p = eventPos(ev);
+    const { pan, gain } = p ? audioPlace(p.lat, p.lng) : { pan: 0, gain: 1 };
+    const sound = ev.sound || type.sound;
+    if (Object.hasOwn(AUDIO_SOUNDS, sound)) AUDIO_SOUNDS[sound](pan, gain * speedDamp());
+    if (typeof ev.audio === "string" && ev.audio) playClip(ev.audio, pan, gain);
+    if (!ev.derived) speak(ev.text);
+  }
+
+  // the beam crossed a painted contact since the last frame
+  function sweepPing(paint, now){
+    const dt = radarPrevNow == null ? 0 : now - radarPrevNow;
+    if (!audioLive() || dt <= 0 || dt > radarScan.period_s / 2 || paint.age > dt) return;
+    const ms = performance.now();
+    if (ms - lastPingMs < PING_GAP_MS) return;
+    lastPingMs = ms;
+    const { pan, gain } = audioPlace(paint.pos.lat, paint.pos.lng);
+    radarPing(pan, gain * speedDamp());
+  }
+
+  // -------- Replay engine
+  let running = true;
+  let speed = 10;
+  let t = 0;
+  let lastTs = performance.now();
+  const STEP_S = 1; // frame step, in replay seconds
+
+  // compare mode shares one clock across both missions
+  function missionDuration(){ return Math.max(MISSION?.duration_s || 120, compareState?.mission.duration_s || 0); }
+
+  let eventsFired = new Set();
+  let counts = { engagements: 0, kills: 0, losses: 0 }; // plus any counter a type names
+  let blitzScore = 0;
+
+  // Precompute target death times from kill events
+  let deathTimes = new Map();
+  function deathTimesOf(events){
+    const out = new Map();
+    for (const ev of events || []){
+      if (eventType(ev.type).downs && ev.target){
+        const prev = out.get(ev.target);
+        if (prev == null || ev.t < prev) out.set(ev.target, ev.t);
+      }
+    }
+    return out;
+  }
+  function buildDeathTimes(){
+    deathTimes = deathTimesOf(MISSION?.events);
+  }
+
+
+  function escapeHtml(str){
+    return String(str ?? "")
+      .replaceAll("&","&amp;")
+      .replaceAll("<","&lt;")
+      .replaceAll(">","&gt;")
+      .replaceAll('"',"&quot;")
+      .replaceAll("'","&#39;");
+  }
+
+  // mission-declared types without a class get their colour inline
+  function logTypeClass(type){
+    return eventType(type).cls || "tCustom";
+  }
+
+  function logTypeStyle(type){
+    const c = eventType(type).color;
+    return c ? `border-color:${c};color:${c}` : "";
+  }
+
+  // -------- Timeline filters
+  // Lines keep their event's type / actor / target / time in data-*; the
+  // toolbar just hides lines, so the log itself never has to be rebuilt.
+  const logFilter = { hidden: new Set(), aircraft: "", query: "" };
+
+  // undeclared types file under "note"
+  function logTypeKey(type){
+    return Object.hasOwn(eventTypes, type) ? type : "note";
+  }
+
+  function logFiltered(){
+    return logFilter.hidden.size > 0 || !!logFilter.aircraft || !!logFilter.query;
+  }
+
+  function logLineVisible(line){
+    const d = line.dataset;
+    if (logFilter.hidden.has(d.type)) return false;
+    if (logFilter.aircraft && d.actor !== logFilter.aircraft && d.target !== logFilter.aircraft) return false;
+    return !logFilter.query || d.search.includes(logFilter.query);
+  }
+
+  function applyLogFilter(){
+    let shown = 0;
+    for (const line of elTimeline.children){
+      line.hidden = !logLineVisible(line);
+      if (!line.hidden) shown++;
+    }
+    elLogCount.textContent = logFiltered() ? `${shown}/${elTimeline.children.length}` : "";
+  }
+
+  // one chip per type the mission actually uses, in registry order
+  function buildLogChips(){
+    const used = new Set(["note", ...replayEvents.map(ev => logTypeKey(ev.type))]);
+    elLogChips.innerHTML = "";
+    for (const type of Object.keys(eventTypes).filter(k => used.has(k))){
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = `logType logChip ${logTypeClass(type)}`;
+      chip.style.cssText = logTypeStyle(type);
+      chip.dataset.type = type;
+      chip.textContent = eventLabel(type);
+      chip.setAttribute("aria-pressed", String(!logFilter.hidden.has(type)));
+      chip.addEventListener("click", ()=>{
+        if (logFilter.hidden.has(type)) logFilter.hidden.delete(type);
+        else logFilter.hidden.add(type);
+        chip.setAttribute("aria-pressed", String(!logFilter.hidden.has(type)));
+        applyLogFilter();
+      });
+      elLogChips.appendChild(chip);
+    }
+  }
+
+  function fillLogAircraft(){
+    fillAircraftSelect(elLogAircraft, false);
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "ALL AIRCRAFT";
+    elLogAircraft.prepend(all);
+    if (!aircraftState.has(logFilter.aircraft)) logFilter.aircraft = "";
+    elLogAircraft.value = logFilter.aircraft;
+    applyLogFilter();
+  }
+
+  function pushLog(ev, now, quiet=false){
+    const line = document.createElement("div");
+    line.className = "logLine";
+    line.tabIndex = 0;
+    const typeClass = logTypeClass(ev.type);
+    const type = eventLabel(ev.type);
+    const callsign = id => aircraftState.get(id)?.cfg.callsign || id || "";
+    // the event's own time, not the (later, at high speed) frame that fired it
+    const at = typeof ev.t === "number" ? ev.t : now;
+
+    line.dataset.t = String(at);
+    line.dataset.type = logTypeKey(ev.type);
+    line.dataset.actor = ev.actor || "";
+    line.dataset.target = ev.target || "";
+    line.dataset.search = [type, ev.text, ev.actor, ev.target, callsign(ev.actor), callsign(ev.target)]
+      .join(" ").toLowerCase();
+
+    line.innerHTML = `
+      <div><span class="logTime">${fmtClock(at)}</span>
+      <span class="logType ${typeClass}" style="${escapeHtml(logTypeStyle(ev.type))}">${escapeHtml(type)}</span></div>
+      <div class="logText">${escapeHtml(ev.text)}</div>
+    `;
+
+    line.hidden = !logLineVisible(line);
+    elTimeline.prepend(line);
+    if (logFiltered()) applyLogFilter();
+    elStatLast.textContent = `${fmtClock(at)} ${type}: ${ev.text || ""}`;
+    if (!quiet) fxFromTo(line, {y: 10, opacity: 0}, {y: 0, opacity: 1, duration: 0.22, ease: "power2.out"});
+  }
+
+  // clicking a log line jumps to its moment and picks its actor
+  function seekToLogLine(line){
+    seek(Number(line.dataset.t));
+    if (aircraftState.has(line.dataset.actor)) selectAircraft(line.dataset.actor);
+  }
+
+  // quiet: replaying history after a seek -> update state and log, skip map effects
+  function fireEvent(ev, now, quiet=false){
+    const type = eventType(ev.type);
+    pushLog(ev, now, quiet);
+    if (!quiet && type.duel) directorCut(ev);
+
+    if (type.counter){
+      counts[type.counter] = (counts[type.counter] || 0) + 1;
+      if (type.counter === "losses") elLossesChip.textContent = `LOSSES: ${counts.losses}`;
+    }
+    blitzScore += Number(type.blitz) || 0;
+    EVENT_EFFECTS[type.effect]?.(ev, quiet);
+    if (!quiet) playEventAudio(ev, type);
+  }
+
+  // Moves the traveled history to `now` in either direction:
+  // appends newly reached path points, or drops them when running backwards.
+  function syncTrail(st, now, pos){
+    const path = st.samples || [];
+    let idx = st.pathIdx || 0;
+
+    while (idx < path.length && path[idx].t <= now){
+      st.trailPts.push([path[idx].lat, path[idx].lng]);
+      idx++;
+    }
+    while (idx > 0 && path[idx-1].t > now){
+      st.trailPts.pop();
+      idx--;
+    }
+    st.pathIdx = idx;
+
+    // Always include current interpolated position as the last point (smooth head)
+    const pts = st.trailPts.slice();
+    if (pos) pts.push([pos.lat, pos.lng]);
+    st.trailLine.setLatLngs(pts);
+  }
+
+  // Re-derives every route after the interpolation mode changes
+  function refreshRoutes(){
+    for (const st of aircraftState.values()){
+      st.interp = interpModeFor(st.cfg);
+      st.samples = routeSamples(st.cfg.path, st.interp);
+      st.routeAllPts = st.samples.map(p => [p.lat, p.lng]);
+      st.routeAllLine.setLatLngs(st.routeAllPts);
+    }
+    buildLifecycles();
+    seek(t);
+  }
+
+  function updateMap(now){
+    const showTrails = !!elTrails.checked;
+    const showLabels = !!elLabels.checked;
+
+    for (const [id, st] of aircraftState.entries()){
+      const pos = placeAircraft(st, now);
+      if (!pos) continue;
+
+      const view = viewAlpha(st.cfg);
+      const node = st.marker.getElement();
+      if (node){
+        const glyph = node.querySelector(".planeGlyph");
+        if (glyph) glyph.style.setProperty("--hdg", `${pos.hdg}deg`);
+        node.style.opacity = String(view);
+        node.style.pointerEvents = view ? "" : "none";
+      }
+
+      const lnode = st.label.getElement();
+      if (lnode){
+        // wrecks and departed aircraft lose their labels
+        const gone = st.state === "destroyed" || st.state === "exited";
+        lnode.style.opacity = showLabels && !gone ? String(view) : "0";
+        const dt = deathTimes.get(st.cfg.id);
+        const imminent = (typeof dt === "number") && now >= (dt - 3) && now < dt && !st.dead;
+        const inner = lnode.querySelector(".planeLabel");
+        if (inner){
+          inner.classList.toggle("danger", imminent);
+          if (st.state === "airborne") delete inner.dataset.state;
+          else inner.dataset.state = LIFE_LABELS[st.state];
+        }
+      }
+
+      if (st.dead){
+        if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: showTrails ? 0.10 * view : 0 });
+        st.trailLine.setStyle({ opacity: showTrails ? 0.18 * view : 0 });
+        continue;
+      }
+
+      if (showTrails){
+  // Ensure the full (dashed) route is visible
+  if (st.routeAllLine) st.routeAllLine.setStyle(routeStyle(id).route);
+  syncTrail(st, now, pos);
+  st.trailLine.setStyle(routeStyle(id).trail);
+}else{
+  // Hide both route lines when trails are off
+  st.trailLine.setLatLngs([]);
+  if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: 0 });
+}
+    }
+
+    updateCones();
+    updateSmoke(now);
+    updateCompare(now);
+    updateCamera(now);
+  }
+
+  function updateRadar(now){
+    resizeRadarCanvas();
+    const W = __radarW, H = __radarH;
+    const { cx, cy, pxPerM } = radarScale(W, H);
+    const maxM = radarRange * RADAR_UNITS[radarUnits];
+
+    drawRadarFrame(W,H);
+    drawRadarSweep(W,H,now);
+
+    let contacts = 0;
+    radarHits = [];
+
+    for (const [id, st] of aircraftState.entries()){
+      // blips sit where the beam last painted them and decay until the next pass
+      const paint = lastPaint(st, now);
+      if (!paint) continue;
+      const { v, pos } = paint;
+      if (v.rangeM > maxM) continue;
+
+      if (!st.dead) contacts++;
+      const view = viewAlpha(st.cfg);
+      if (!view) continue;
+
+      const sx = cx + v.dx * pxPerM;
+      const sy = cy - v.dy * pxPerM;
+      radarHits.push({ id, x: sx, y: sy, v, alt: pos.alt });
+
+      const dt = deathTimes.get(st.cfg.id);
+      const imminent = (typeof dt === 'number') && now >= (dt - 3) && now < dt && !st.dead;
+      const txt = `${st.cfg.callsign} ${String(Math.round(v.brg) % 360).padStart(3, "0")}° ${fmtRange(v.rangeM)}`;
+      const fade = (1 - paint.age / (radarScan.period_s * BLIP_FADE_SCANS)) * view;
+      drawBlip(sx, sy, styleOf(st.cfg).color, txt, !!elLabels.checked, imminent, altFrac(pos.alt), fade);
+      if (id === selectedId) drawSelectionRing(sx, sy);
+      sweepPing(paint, now);
+    }
+    radarPrevNow = now;
+
+    elHudContacts.textContent = String(contacts);
+    elHudEng.textContent = String(counts.engagements);
+    elHudKills.textContent = String(counts.kills);
+    elStatTracks.textContent = String(contacts);
+
+    const blitz = clamp(blitzScore / BLITZ_FULL, 0.08, 1);
+    elMeterBlitz.style.width = `${Math.round(blitz*100)}%`;
+  }
+
+  function eventKey(ev){
+    return `${ev.type}:${ev.t}:${ev.actor || ""}:${ev.target || ""}`;
+  }
+
+  function updateEvents(now){
+    const evs = replayEvents;
+
+    // Clock went backwards past something already fired: rebuild history
+    if (evs.some(ev => now < ev.t && eventsFired.has(eventKey(ev)))){
+      rebuildToTime(now);
+      return;
+    }
+
+    for (let i=0;i<evs.length;i++){
+      const ev = evs[i];
+      const key = eventKey(ev);
+      if (eventsFired.has(key)) continue;
+      if (now >= ev.t){
+        eventsFired.add(key);
+        fireEvent(ev, now);
+      }
+    }
+  }
+
+  function tick(ts){
+    const dt = (ts - lastTs) / 1000;
+    lastTs = ts;
+
+    if (running && !scrubbing && MISSION && !rendering){
+      t += dt * speed;
+      const dur = missionDuration();
+      t = clamp(t, 0, dur);
+
+      // End of mission: loop / stop / next per the AT END setting
+      // (forward playback only; reverse holds at T+00:00)
+      if (speed > 0 && t >= dur){
+        // small hold at end so "END" is visible
+        if (!window.__endHoldAt) window.__endHoldAt = ts;
+        const held = (ts - window.__endHoldAt) / 1000;
+        if (held >= 0.8){
+          window.__endHoldAt = null;
+          finishMission();
+        }
+      }
+
+      renderFrame(t);
+    }
+
+    syncLink(ts);
+    requestAnimationFrame(tick);
+  }
+
+  function renderFrame(now){
+    elClock.textContent = fmtClock(now);
+    updateScrub(now);
+
+    updateMap(now);
+    updateEvents(now);
+    updateRadar(now);
+    updateFlightReadout();
+
+    elHudStatus.textContent = now >= missionDuration() ? "END" : "ARMED";
+    updateCampaignChip();
+  }
+
+  function setRunning(v){ running = v; }
+
+  function setSpeed(v){
+    speed = v;
+    elSpeedLabel.textContent = `${speed}x`;
+    elBtnReverse.classList.toggle("btnActive", speed < 0);
+  }
+
+  // Puts every aircraft and all event-driven state back to T+00:00
+  function resetReplayState(){
+    eventsFired.clear();
+    counts = { engagements: 0, kills: 0, losses: 0 };
+    blitzScore = 0;
+    elLossesChip.textContent = "LOSSES: 0";
+
+    for (const [id, st] of aircraftState.entries()){
+      st.dead = false;
+      st.state = "airborne";
+      st.descentLine?.setLatLngs([]);
+      st.smokeFrom = null;
+      st.smokeLine?.setLatLngs([]);
+      st.trailPts = [];
+      st.pathIdx = 0;
+      st.trailLine.setLatLngs([]);
+      if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: (elTrails && elTrails.checked) ? 0.18 : 0 });
+      const pos = flightData(st.cfg.path, 0, st.interp) || st.lastPos;
+      if (pos){
+        st.lastPos = pos;
+        st.marker.setLatLng([pos.lat, pos.lng]);
+        st.label.setLatLng([pos.lat, pos.lng]);
+      }
+      const node = st.marker.getElement();
+      const lnode = st.label.getElement();
+      if (node) node.style.opacity = "1";
+      if (lnode) lnode.style.opacity = "1";
+    }
+
+    elTimeline.innerHTML = "";
+    elLogCount.textContent = "";
+    elStatLast.textContent = "—";
+  }
+
+  // Rebuilds positions, trails, dead flags, counters and the log so they
+  // match `now` exactly, as if the replay had played forward to it.
+  function rebuildToTime(now){
+    resetReplayState();
+
+    for (const st of aircraftState.values()){
+      if (!placeAircraft(st, now)) continue;
+      // trails stop where the aircraft went down, landed or left
+      const tEnd = Math.min(now, (st.life || NO_LIFE).downAt);
+      if (elTrails.checked) syncTrail(st, tEnd, flightData(st.cfg.path, tEnd, st.interp));
+    }
+
+    const past = replayEvents
+      .filter(ev => ev.t <= now)
+      .sort((a, b) => a.t - b.t);
+    for (const ev of past){
+      eventsFired.add(eventKey(ev));
+      fireEvent(ev, ev.t, true);
+    }
+  }
+
+  function seek(to){
+    if (!MISSION) return;
+    t = clamp(Number(to) || 0, 0, missionDuration());
+    window.__endHoldAt = null;
+    rebuildToTime(t);
+    renderFrame(t);
+  }
+
+  function stepFrame(dir){
+    setRunning(false);
+    seek(t + dir * STEP_S);
+  }
+
+  function restart(){
+    t = 0;
+    missionTallied = false;
+    resetReplayState();
+    elActiveChip.textContent = "ACTIVE: NONE";
+    elStatSel.textContent = "NONE";
+    selectedId = null;
+  }
+
+  // -------- Scrub bar
+  let scrubbing = false;
+
+  function buildScrubTicks(){
+    const dur = missionDuration();
+    elScrub.max = String(dur);
+    elScrubEnd.textContent = fmtClock(dur);
+    elScrubTicks.innerHTML = "";
+
+    for (const ev of MISSION.events || []){
+      if (!(ev.t >= 0 && ev.t <= dur)) continue;
+      const tick = document.createElement("button");
+      tick.type = "button";
+      tick.className = `scrubTick ${logTypeClass(ev.type)}`;
+      tick.style.left = `${(ev.t / dur) * 100}%`;
+      if (eventType(ev.type).color) tick.style.background = eventType(ev.type).color;
+      tick.title = `${fmtClock(ev.t)} ${eventLabel(ev.type)}`;
+      tick.addEventListener("click", ()=> seek(ev.t));
+      elScrubTicks.appendChild(tick);
+    }
+
+    // compare mode: where B's events differ from A's
+    for (const d of compareState?.diff || []){
+      if (!(d.t >= 0 && d.t <= dur)) continue;
+      const tick = document.createElement("button");
+      tick.type = "button";
+      tick.className = `scrubTick tDiff c_${d.kind}`;
+      tick.style.left = `${(d.t / dur) * 100}%`;
+      tick.title = `B ${d.kind.toUpperCase()} ${fmtClock(d.t)} ${String(d.ev.type || "").toUpperCase()}`;
+      tick.addEventListener("click", ()=> seek(d.t));
+      elScrubTicks.appendChild(tick);
+    }
+  }
+
+  function updateScrub(now){
+    if (!scrubbing) elScrub.value = String(now);
+  }
+
+  // -------- Mission editor
+  // Edits the live MISSION object in place: every change re-derives routes,
+  // kills, ticks and the validation report, then re-seeks to the current time.
+  const NEW_AIRCRAFT = "__new";
+  let editing = false;
+  let editHandles = null; // L.layerGroup of draggable waypoints for the edited aircraft
+  let editPointIdx = null;
+
+  const round1 = n => Math.round(n * 10) / 10;
+
+  function editedAircraft(){
+    return aircraftState.get(elEdAircraft.value) || null;
+  }
+
+  function setEditStatus(msg){
+    elEdStatus.textContent = msg;
+  }
+
+  function setEditing(on){
+    if (!map) return;
+    editing = on;
+    elEditor.hidden = !on;
+    elBtnEdit.classList.toggle("btnActive", on);
+    elMapPanel.classList.toggle("editing", on);
+    if (on){
+      setRunning(false);
+      map.on("click", onEditMapClick);
+      if (selectedId) elEdAircraft.value = selectedId;
+      refreshEditor();
+    }else{
+      map.off("click", onEditMapClick);
+      if (editHandles) editHandles.clearLayers();
+      editPointIdx = null;
+    }
+  }
+
+  function fillAircraftSelect(sel, withNew){
+    const keep = sel.value;
+    sel.innerHTML = "";
+    for (const st of aircraftState.values()){
+      const opt = document.createElement("option");
+      opt.value = st.cfg.id;
+      opt.textContent = `${st.cfg.callsign} (${st.cfg.id})`;
+      sel.appendChild(opt);
+    }
+    if (withNew){
+      const opt = document.createElement("option");
+      opt.value = NEW_AIRCRAFT;
+      opt.textContent = "+ NEW AIRCRAFT";
+      sel.appendChild(opt);
+    }
+    if ([...sel.options].some(o => o.value === keep)) sel.value = keep;
+  }
+
+  // every side in play, plus the defaults so a new mission has two to pick from
+  function fillSideSelect(value){
+    const names = [...new Set([...Object.keys(DEFAULT_SIDES), ...forces.sides.keys()])];
+    elEdSide.innerHTML = names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join("");
+    elEdSide.value = names.includes(value) ? value : names[0];
+  }
+
+  // Re-syncs the editor form and handles with MISSION (after load or any edit)
+  function refreshEditor(){
+    if (!editing) return;
+    fillAircraftSelect(elEdAircraft, true);
+    fillAircraftSelect(elEdEvActor, false);
+    fillAircraftSelect(elEdEvTarget, false);
+
+    const st = editedAircraft();
+    elEdCallsign.value = st ? st.cfg.callsign : "";
+    fillSideSelect(st?.cfg.side);
+    if (!st || editPointIdx >= st.cfg.path.length) editPointIdx = null;
+    drawEditHandles();
+    showEditPoint();
+  }
+
+  function drawEditHandles(){
+    if (!editHandles) editHandles = L.layerGroup().addTo(map);
+    editHandles.clearLayers();
+    const st = editedAircraft();
+    if (!st) return;
+
+    st.cfg.path.forEach((pt, i) => {
+      const locked = formationLocked(st.cfg, pt);
+      const h = L.marker([pt.lat, pt.lng], {
+        icon: L.divIcon({
+          className: "",
+          html: `<div class="wpHandle${locked ? " wpLocked" : ""}${i === editPointIdx ? " wpActive" : ""}">${i}</div>`,
+          iconSize: [20,20],
+          iconAnchor: [10,10]
+        }),
+        draggable: !locked,
+        keyboard: false
+      }).addTo(editHandles);
+
+      if (locked){
+        h.on("click", () => setEditStatus(formationLockedMsg(st.cfg)));
+        return;
+      }
+      h.on("click", () => { editPointIdx = i; drawEditHandles(); showEditPoint(); });
+      h.on("drag", () => {
+        // live: bend the dashed route while dragging
+        const ll = h.getLatLng();
+        pt.lat = round6(ll.lat);
+        pt.lng = round6(ll.lng);
+        st.samples = routeSamples(st.cfg.path, st.interp);
+        st.routeAllPts = st.samples.map(p => [p.lat, p.lng]);
+        st.routeAllLine.setLatLngs(st.routeAllPts);
+      });
+      h.on("dragend", () => { editPointIdx = i; commitEdit(); });
+    });
+  }
+
+  // wingman points up to formation.until (all of them without one) are
+  // regenerated from the leader on every commit, so they can't be edited
+  function formationLocked(ac, pt){
+    const f = ac?.formation;
+    return !!f && (f.until == null || pt.t <= f.until);
+  }
+
+  function formationLockedMsg(ac){
+    const f = ac.formation;
+    const lead = aircraftState.get(f.leader)?.cfg.callsign || f.leader;
+    return f.until == null
+      ? `${ac.callsign} flies on ${lead}'s wing: its points come from the leader's path. Edit ${lead} instead.`
+      : `${ac.callsign} follows ${lead} until ${fmtClock(f.until)}: only later points can be edited.`;
+  }
+
+  function showEditPoint(){
+    const st = editedAircraft();
+    const pt = st && editPointIdx != null ? st.cfg.path[editPointIdx] : null;
+    elEdPoint.hidden = !pt;
+    if (!pt) return;
+    elEdPointLabel.textContent = `${st.cfg.callsign} • POINT ${editPointIdx}`;
+    elEdPointT.value = String(pt.t);
+    elEdPointAlt.value = pt.alt != null ? String(pt.alt) : "";
+  }
+
+  // Applies an edit everywhere the replay derives state from MISSION
+  function commitEdit(){
+    const last = Math.max(0, ...MISSION.aircraft.map(ac => ac.path[ac.path.length-1]?.t ?? 0),
+      ...(MISSION.events || []).map(ev => ev.t));
+    if (last > missionDuration()) MISSION.duration_s = Math.ceil(last);
+
+    // wingmen follow their leader's edited path
+    expandFormations(MISSION);
+    buildForces();
+    renderLegend();
+    buildDeathTimes();
+    buildReplayEvents();
+    buildAltRange();
+    buildScrubTicks();
+    refreshRoutes();
+    renderValidation(validateMission(MISSION));
+    buildLogChips();
+    fillLogAircraft();
+    refreshEditor();
+  }
+
+  function createAircraft(){
+    let n = 1;
+    while (aircraftState.has(`NEW-${n}`)) n++;
+    const ac = {
+      id: `NEW-${n}`,
+      callsign: elEdCallsign.value.trim() || `NEW-${n}`,
+      side: elEdSide.value,
+      icon: "✈",
+      path: []
+    };
+    MISSION.aircraft.push(ac);
+    return ac;
+  }
+
+  function onEditMapClick(e){
+    const lat = round6(e.latlng.lat), lng = round6(e.latlng.lng);
+
+    if (elEdTool.value === "impact"){
+      addEditEvent({ t: round1(t), type: "impact", lat, lng, text: "IMPACT: marked in editor." });
+      setEditStatus(`Impact added at ${fmtClock(t)}.`);
+      return;
+    }
+
+    let st = editedAircraft();
+    let ac = st?.cfg;
+    if (!ac){
+      ac = createAircraft();
+      addAircraftLayers(ac);
+      fillAircraftSelect(elEdAircraft, true);
+      elEdAircraft.value = ac.id;
+    }
+
+    // new points continue the track at a plausible cruise speed; fix t in the form
+    const prev = ac.path[ac.path.length-1];
+    const tNew = prev ? round1(prev.t + Math.max(1, distM(prev, { lat, lng }) / IMPORT_SPEED_MS)) : round1(t);
+    const pt = { t: tNew, lat, lng };
+    if (prev?.alt != null) pt.alt = prev.alt;
+    if (formationLocked(ac, pt)){
+      setEditStatus(formationLockedMsg(ac));
+      return;
+    }
+    ac.path.push(pt);
+
+    editPointIdx = ac.path.length - 1;
+    commitEdit();
+    setEditStatus(`${ac.callsign}: point ${editPointIdx} at ${fmtClock(tNew)}.`);
+  }
+
+  function updateEditPoint(){
+    const st = editedAircraft();
+    const path = st?.cfg.path;
+    const pt = path?.[editPointIdx];
+    if (!pt) return;
+
+    const tNew = round1(Number(elEdPointT.value));
+    const lo = path[editPointIdx - 1]?.t ?? -Infinity;
+    const hi = path[editPointIdx + 1]?.t ?? Infinity;
+    if (!Number.isFinite(tNew) || tNew < 0 || tNew <= lo || tNew >= hi){
+      setEditStatus(`t must be between ${Number.isFinite(lo) ? lo : 0} and ${Number.isFinite(hi) ? hi : "∞"} (exclusive).`);
+      showEditPoint();
+      return;
+    }
+    pt.t = tNew;
+
+    const alt = elEdPointAlt.value.trim();
+    if (alt === "") delete pt.alt;
+    else if (Number.isFinite(Number(alt))) pt.alt = Number(alt);
+
+    commitEdit();
+    setEditStatus(`${st.cfg.callsign}: point ${editPointIdx} updated.`);
+  }
+
+  function deleteEditPoint(){
+    const st = editedAircraft();
+    if (!st || editPointIdx == null) return;
+    if (st.cfg.path.length < 2){
+      setEditStatus("An aircraft needs at least one point.");
+      return;
+    }
+    st.cfg.path.splice(editPointIdx, 1);
+    editPointIdx = null;
+    commitEdit();
+  }
+
+  // Callsign / side change: the icon, label and route colours all depend on them
+  function updateEditAircraft(){
+    const st = editedAircraft();
+    if (!st) return;
+    const ac = st.cfg;
+    ac.callsign = elEdCallsign.value.trim() || ac.callsign;
+    ac.side = elEdSide.value;
+    buildForces();
+    removeAircraftLayers(st);
+    addAircraftLayers(ac);
+    if (selectedId === ac.id) selectAircraft(ac.id);
+    commitEdit();
+  }
+
+  function addEditEvent(ev){
+    const evs = MISSION.events || (MISSION.events = []);
+    const at = evs.findIndex(e => e.t > ev.t);
+    evs.splice(at < 0 ? evs.length : at, 0, ev);
+    commitEdit();
+  }
+
+  function addFormEvent(){
+    const type = elEdEvType.value;
+    const actor = aircraftState.get(elEdEvActor.value)?.cfg;
+    const target = aircraftState.get(elEdEvTarget.value)?.cfg;
+    if (!actor || !target || actor === target){
+      setEditStatus("Pick two different aircraft for actor and target.");
+      return;
+    }
+    const tv = elEdEvT.value.trim();
+    const tEv = round1(tv === "" ? t : Number(tv));
+    if (!Number.isFinite(tEv) || tEv < 0){
+      setEditStatus("Event t must be a number of seconds.");
+      return;
+    }
+    const text = elEdEvText.value.trim() || (type === "kill"
+      ? `TARGET DESTROYED: ${target.callsign} downed by ${actor.callsign}.`
+      : `${actor.callsign} engages ${target.callsign}.`);
+
+    addEditEvent({ t: tEv, type, actor: actor.id, target: target.id, text });
+    elEdEvText.value = "";
+    setEditStatus(`${type.toUpperCase()} added at ${fmtClock(tEv)}.`);
+  }
+
+  function saveEditedMission(){
+    downloadText(`${missionSlug(MISSION)}-edited.json`, JSON.stringify(MISSION, null, 2) + "\n", "application/json");
+  }
+
+  // -------- Offline render (WebM / GIF)
+  // Drives the replay clock in fixed steps (|speed| replay seconds per video
+  // second) instead of rAF deltas, composites map + radar + caption into one
+  // canvas per frame, then encodes it. Effects are drawn from event times so
+  // every frame is reproducible.
+  let rendering = false;
+  let renderAbort = false;
+
+  const nextFrame = () => new Promise(r => requestAnimationFrame(r));
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+  // draws `src` into the box, scaled to cover it (cropped, centred)
+  function coverRect(srcW, srcH, x, y, w, h){
+    const k = Math.max(w / srcW, h / srcH);
+    return { k, ox: x + (w - srcW * k) / 2, oy: y + (h - srcH * k) / 2 };
+  }
+
+  const RENDER_LIFE_ALPHA = { staged: 0.45, crashing: 0.8, destroyed: 0.2, landed: 0.5, exited: 0 };
+
+  function drawMapInto(ctx, x, y, w, h, now){
+    const box = map.getContainer();
+    const cr = box.getBoundingClientRect();
+    if (!cr.width || !cr.height) return;
+    const { k, ox, oy } = coverRect(cr.width, cr.height, x, y, w, h);
+    const place = el => {
+      const r = el.getBoundingClientRect();
+      return [ox + (r.left - cr.left) * k, oy + (r.top - cr.top) * k, r.width * k, r.height * k];
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+
+    // fallback grid, then tiles with the same grade the CSS gives .leaflet-tile
+    for (const cv of box.querySelectorAll(".gridBase canvas.leaflet-tile-loaded")){
+      ctx.drawImage(cv, ...place(cv));
+    }
+    ctx.filter = "saturate(1.25) contrast(1.08) hue-rotate(330deg)";
+    for (const img of box.querySelectorAll(".leaflet-tile-pane img.leaflet-tile-loaded")){
+      ctx.drawImage(img, ...place(img));
+    }
+    ctx.filter = "none";
+
+    // canvas renderer panes: tint + route/trail polylines
+    for (const cv of box.querySelectorAll(".leaflet-pane canvas:not(.leaflet-tile)")){
+      if (cv.width && cv.height) ctx.drawImage(cv, ...place(cv));
+    }
+
+    const toPx = (lat, lng) => {
+      const pt = map.latLngToContainerPoint([lat, lng]);
+      return [ox + pt.x * k, oy + pt.y * k];
+    };
+
+    // scripted effects, timed from the events themselves
+    for (const ev of MISSION.events || []){
+      const age = now - ev.t;
+      if (age < 0) continue;
+      const effect = eventType(ev.type).effect;
+      if (effect === "impact" && age < 1.5 && typeof ev.lat === "number"){
+        const [px, py] = toPx(ev.lat, ev.lng);
+        ctx.strokeStyle = `rgba(255,0,184,${(0.8 * (1 - age/1.5)).toFixed(3)})`;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(px, py, 8 + age * 26, 0, Math.PI*2);
+        ctx.stroke();
+      }
+      if (effect === "gunBurst" && age < 0.45){
+        const a = aircraftState.get(ev.actor);
+        const p = a && interpPath(a.cfg.path, ev.t, a.interp);
+        if (!p) continue;
+        const [px, py] = toPx(p.lat, p.lng);
+        ctx.fillStyle = `rgba(255,232,74,${(0.6 * (1 - age/0.45)).toFixed(3)})`;
+        ctx.beginPath();
+        ctx.arc(px, py, 7 + age * 20, 0, Math.PI*2);
+        ctx.fill();
+      }
+    }
+
+    // aircraft glyphs + callsigns (markers are DOM, so redraw them here)
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const st of aircraftState.values()){
+      const p = st.lastPos;
+      if (!p) continue;
+      const [px, py] = toPx(p.lat, p.lng);
+      // same fades the CSS gives each lifecycle state
+      ctx.globalAlpha = (RENDER_LIFE_ALPHA[st.state] ?? 1) * viewAlpha(st.cfg);
+      if (!ctx.globalAlpha) continue;
+      const { color, icon } = styleOf(st.cfg);
+      ctx.save();
+      ctx.translate(px, py);
+      ctx.rotate((p.hdg || 0) * RAD_PER_DEG);
+      ctx.fillStyle = color;
+      ctx.font = `${Math.round(18 * k)}px sans-serif`;
+      ctx.fillText(icon, 0, 0);
+      ctx.restore();
+      if (!st.dead && elLabels.checked){
+        ctx.font = `${Math.round(11 * k)}px ui-monospace, Menlo, Consolas, monospace`;
+        ctx.fillStyle = "rgba(255,247,255,0.92)";
+        ctx.fillText(st.cfg.callsign, px, py - 20 * k);
+      }
+    }
+    ctx.globalAlpha = 1;
+    ctx.restore();
+  }
+
+  function drawCaption(ctx, x, y, w, h, now){
+    ctx.fillStyle = "rgba(10,5,24,0.92)";
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = "rgba(255,0,184,0.6)";
+    ctx.fillRect(x, y, w, 2);
+
+    const last = (MISSION.events || []).filter(ev => ev.t <= now).sort((a, b) => b.t - a.t)[0];
+    const fs = Math.round(h * 0.34);
+    ctx.font = `${fs}px ui-monospace, Menlo, Consolas, monospace`;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(40,215,255,0.95)";
+    ctx.fillText(fmtClock(now), x + w - fs, y + h/2);
+
+    if (!last) return;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(255,247,255,0.92)";
+    const line = `${fmtClock(last.t)}  ${String(last.type || "").toUpperCase()}  ${last.text || ""}`;
+    const maxW = w - fs * 8;
+    let txt = line;
+    while (txt.length > 4 && ctx.measureText(txt).width > maxW) txt = txt.slice(0, -2);
+    ctx.fillText(txt === line ? txt : `${txt}…`, x + fs, y + h/2);
+  }
+
+  function compositeFrame(ctx, W, H, now, caption){
+    ctx.fillStyle = "#0a0518";
+    ctx.fillRect(0, 0, W, H);
+    const capH = caption ? Math.round(H * 0.09) : 0;
+    const mapW = Math.round(W * 0.64);
+    drawMapInto(ctx, 0, 0, mapW, H - capH, now);
+
+    // radar, contained in its column
+    const rw = W - mapW, rh = H - capH;
+    const k = Math.min(rw / radar.width, rh / radar.height);
+    ctx.drawImage(radar, mapW + (rw - radar.width*k)/2, (rh - radar.height*k)/2, radar.width*k, radar.height*k);
+    ctx.fillStyle = "rgba(255,255,255,0.16)";
+    ctx.fillRect(mapW, 0, 1, rh);
+
+    if (capH) drawCaption(ctx, 0, H - capH, W, capH, now);
+  }
+
+  async function renderReplay(opts){
+    if (!MISSION || rendering) return;
+    const { width: W, height: H, fps, format, caption } = opts;
+    const out = document.createElement("canvas");
+    out.width = W;
+    out.height = H;
+    const ctx = out.getContext("2d");
+
+    const step = Math.abs(speed || 1) / fps; // replay seconds per video frame
+    const frames = Math.ceil(missionDuration() / step) + 1;
+
+    // WebM: WebCodecs when available; otherwise MediaRecorder, which stamps
+    // frames by wall clock, so each frame is handed over on its own deadline
+    let recorder = null, track = null, chunks = [], gif = null, webm = null;
+    if (format === "gif"){
+      gif = createGifEncoder(W, H, Math.round(100 / fps));
+    }else if (!(webm = await createWebmEncoder(W, H, fps))){
+      if (!window.MediaRecorder || !out.captureStream){
+        setRenderStatus("WebM recording is not supported in this browser.");
+        return;
+      }
+      const stream = out.captureStream(0);
+      track = stream.getVideoTracks()[0];
+      const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+        .find(m => MediaRecorder.isTypeSupported(m));
+      recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+      recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+      recorder.start();
+    }
+
+    const wasRunning = running;
+    const keepT = t;
+    const keepSel = selectedId;
+    rendering = true;
+    renderAbort = false;
+    setRunning(false);
+    restart();
+
+    const start = performance.now();
+    try{
+      for (let i = 0; i < frames && !renderAbort; i++){
+        t = Math.min(missionDuration(), i * step);
+        renderFrame(t);
+        await nextFrame(); // Leaflet's canvas renderer redraws on the next frame
+        compositeFrame(ctx, W, H, t, caption);
+
+        if (gif){
+          gif.addFrame(ctx.getImageData(0, 0, W, H).data);
+        }else if (webm){
+          await webm.addFrame(out, i);
+        }else{
+          await sleep(start + i * 1000 / fps - performance.now());
+          track.requestFrame();
+        }
+        setRenderStatus(`RENDERING ${fmtClock(t)} • ${Math.round((i + 1) / frames * 100)}%`);
+      }
+
+      if (renderAbort){
+        if (recorder) recorder.stop();
+        setRenderStatus("Render cancelled.");
+        return;
+      }
+
+      let blob;
+      if (gif){
+        blob = gif.finish();
+      }else if (webm){
+        blob = await webm.finish(frames);
+      }else{
+        await new Promise(res => { recorder.onstop = res; recorder.stop(); });
+        blob = new Blob(chunks, { type: "video/webm" });
+      }
+      downloadBlob(`${missionSlug(MISSION)}.${gif ? "gif" : "webm"}`, blob);
+      setRenderStatus(`Done: ${frames} frames, ${(blob.size / 1048576).toFixed(1)} MB.`);
+    }catch(err){
+      console.error(err);
+      setRenderStatus(`Render failed: ${err.message}`);
+    }finally{
+      webm?.close();
+      rendering = false;
+      seek(keepT);
+      if (keepSel && aircraftState.has(keepSel)) selectAircraft(keepSel);
+      setRunning(wasRunning);
+    }
+  }
+
+  function setRenderStatus(msg){
+    elRenderStatus.textContent = msg;
+  }
+
+  // -------- GIF encoder
+  // Minimal GIF89a writer: fixed 6x7x6 colour cube palette, LZW per frame,
+  // frames are encoded as they arrive so memory stays flat.
+  function createGifEncoder(width, height, delayCs){
+    const parts = [];
+    const bytes = arr => parts.push(Uint8Array.from(arr));
+    const u16 = n => [n & 0xff, (n >> 8) & 0xff];
+
+    const palette = [];
+    for (let r = 0; r < 6; r++){
+      for (let g = 0; g < 7; g++){
+        for (let b = 0; b < 6; b++) palette.push(Math.round(r*255/5), Math.round(g*255/6), Math.round(b*255/5));
+      }
+    }
+    while (palette.length < 256*3) palette.push(0);
+
+    bytes([0x47,0x49,0x46,0x38,0x39,0x61]); // GIF89a
+    bytes([...u16(width), ...u16(height), 0xf7, 0, 0]);
+    bytes(palette);
+    // NETSCAPE2.0: loop forever
+    bytes([0x21,0xff,0x0b, ...Array.from("NETSCAPE2.0", c => c.charCodeAt(0)), 0x03,0x01,0,0,0]);
+
+    function quantize(rgba){
+      const idx = new Uint8Array(width * height);
+      for (let i = 0, j = 0; i < idx.length; i++, j += 4){
+        idx[i] = Math.round(rgba[j]*5/255)*42 + Math.round(rgba[j+1]*6/255)*6 + Math.round(rgba[j+2]*5/255);
+      }
+      return idx;
+    }
+
+    function lzw(indices, minCodeSize){
+      const clearCode = 1 << minCodeSize, eoi = clearCode + 1;
+      let codeSize = minCodeSize + 1, next = eoi + 1;
+      let table = new Map();
+      const out = [];
+      let cur = 0, bits = 0;
+      const emit = code => {
+        cur |= code << bits;
+        bits += codeSize;
+        while (bits >= 8){ out.push(cur & 0xff); cur >>>= 8; bits -= 8; }
+      };
+
+      emit(clearCode);
+      let prefix = indices[0];
+      for (let i = 1; i < indices.length; i++){
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const hit = table.get(key);
+        if (hit !== undefined){ prefix = hit; continue; }
+        emit(prefix);
+        if (next === 4096){
+          emit(clearCode);
+          table = new Map();
+          codeSize = minCodeSize + 1;
+          next = eoi + 1;
+        }else{
+          if (next >= (1 << codeSize)) codeSize++;
+          table.set(key, next++);
+        }
+        prefix = k;
+      }
+      emit(prefix);
+      emit(eoi);
+      if (bits > 0) out.push(cur & 0xff);
+      return out;
+    }
+
+    return {
+      addFrame(rgba){
+        bytes([0x21,0xf9,0x04,0x04, ...u16(delayCs), 0, 0]); // graphic control: keep frame, delay
+        bytes([0x2c, 0,0, 0,0, ...u16(width), ...u16(height), 0]);
+        const data = lzw(quantize(rgba), 8);
+        const block = new Uint8Array(1 + data.length + Math.ceil(data.length / 255) + 1);
+        let o = 0;
+        block[o++] = 8;
+        for (let i = 0; i < data.length; i += 255){
+          const n = Math.min(255, data.length - i);
+          block[o++] = n;
+          for (let j = 0; j < n; j++) block[o++] = data[i + j];
+        }
+        block[o++] = 0;
+        parts.push(block.subarray(0, o));
+      },
+      finish(){
+        bytes([0x3b]);
+        return new Blob(parts, { type: "image/gif" });
+      }
+    };
+  }
+
+  // -------- WebM encoder
+  // WebCodecs encodes each frame stamped i / fps, so the video is frame-exact
+  // however long a frame took to draw; the WebM (EBML) container is written
+  // here: one video track, a new cluster at every keyframe.
+  const WEBM_CODECS = [["vp09.00.10.08", "V_VP9"], ["vp8", "V_VP8"]];
+  const WEBM_KEY_EVERY = 60;  // frames between keyframes
+  const WEBM_QUEUE_MAX = 6;   // frames waiting in the encoder before we wait too
+
+  async function createWebmEncoder(width, height, fps){
+    if (!window.VideoEncoder || !window.VideoFrame) return null;
+    let pick = null;
+    for (const [codec, id] of WEBM_CODECS){
+      const config = { codec, width, height, bitrate: 8e6, framerate: fps };
+      const res = await VideoEncoder.isConfigSupported(config).catch(() => null);
+      if (res?.supported){ pick = { config, id }; break; }
+    }
+    if (!pick) return null;
+
+    const blocks = []; // { data, ms, key }
+    let failed = null;
+    const enc = new VideoEncoder({
+      output(chunk){
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        blocks.push({ data, ms: Math.round(chunk.timestamp / 1000), key: chunk.type === "key" });
+      },
+      error(err){ failed = err; }
+    });
+    enc.configure(pick.config);
+
+    return {
+      async addFrame(canvas, i){
+        if (failed) throw failed;
+        const frame = new VideoFrame(canvas, { timestamp: Math.round(i * 1e6 / fps), duration: Math.round(1e6 / fps) });
+        enc.encode(frame, { keyFrame: i % WEBM_KEY_EVERY === 0 });
+        frame.close();
+        while (enc.encodeQueueSize > WEBM_QUEUE_MAX) await sleep(4);
+      },
+      async finish(frames){
+        await enc.flush();
+        enc.close();
+        if (failed) throw failed;
+        return new Blob(webmFile(pick.id, width, height, frames * 1000 / fps, blocks), { type: "video/webm" });
+      },
+      close(){
+        if (enc.state !== "closed") enc.close();
+      }
+    };
+  }
+
+  // EBML element: id bytes, an 8-byte size, then the payload parts
+  function ebml(id, ...parts){
+    const body = parts.map(p => typeof p === "number" ? ebmlUint(p) : typeof p === "string" ? new TextEncoder().encode(p) : p);
+    const size = body.reduce((n, p) => n + p.length, 0);
+    const head = new Uint8Array(id.length + 8);
+    head.set(id);
+    head[id.length] = 0x01;
+    for (let i = 0, n = size; i < 7; i++, n = Math.floor(n / 256)) head[id.length + 7 - i] = n % 256;
+    const out = new Uint8Array(head.length + size);
+    out.set(head);
+    let o = head.length;
+    for (const p of body){ out.set(p, o); o += p.length; }
+    return out;
+  }
+
+  function ebmlUint(n){
+    const out = [];
+    do { out.unshift(n % 256); n = Math.floor(n / 256); } while (n > 0);
+    return Uint8Array.from(out);
+  }
+
+  function webmFile(codecId, width, height, durationMs, blocks){
+    const duration = new Uint8Array(8);
+    new DataView(duration.buffer).setFloat64(0, durationMs);
+
+    const clusters = [];
+    let cluster = null;
+    for (const b of blocks){
+      if (!cluster || b.key || b.ms - cluster.ms > 30000){
+        cluster = { ms: b.ms, parts: [] };
+        clusters.push(cluster);
+      }
+      const rel = b.ms - cluster.ms;
+      const block = new Uint8Array(4 + b.data.length);
+      block.set([0x81, (rel >> 8) & 0xff, rel & 0xff, b.key ? 0x80 : 0]); // track 1, timecode, flags
+      block.set(b.data, 4);
+      cluster.parts.push(ebml([0xA3], block));
+    }
+
+    return [
+      ebml([0x1A, 0x45, 0xDF, 0xA3],
+        ebml([0x42, 0x86], 1), ebml([0x42, 0xF7], 1), ebml([0x42, 0xF2], 4), ebml([0x42, 0xF3], 8),
+        ebml([0x42, 0x82], "webm"), ebml([0x42, 0x87], 2), ebml([0x42, 0x85], 2)),
+      ebml([0x18, 0x53, 0x80, 0x67],
+        ebml([0x15, 0x49, 0xA9, 0x66],
+          ebml([0x2A, 0xD7, 0xB1], 1000000), // timecodes in ms
+          ebml([0x4D, 0x80], "Planes & Prejudice"), ebml([0x57, 0x41], "Planes & Prejudice"),
+          ebml([0x44, 0x89], duration)),
+        ebml([0x16, 0x54, 0xAE, 0x6B],
+          ebml([0xAE],
+            ebml([0xD7], 1), ebml([0x73, 0xC5], 1), ebml([0x83], 1), ebml([0x86], codecId),
+            ebml([0xE0], ebml([0xB0], width), ebml([0xBA], height)))),
+        ...clusters.map(c => ebml([0x1F, 0x43, 0xB6, 0x75], ebml([0xE7], c.ms), ...c.parts)))
+    ];
+  }
+
+  // -------- Mission switching
+  // Validates, then swaps the running mission without a page reload.
+  // An invalid file leaves the current replay untouched.
+  function openMission(mission, source){
+    const problems = validateMission(mission);
+    renderValidation(problems);
+    if (problems.some(p => p.level === "error")){
+      if (!MISSION) elHudStatus.textContent = "INVALID";
+      return false;
+    }
+    campaign = null;
+    tally = newTally();
+    startMission(mission, source);
+    return true;
+  }
+
+  function startMission(mission, source){
+    clearCompare(false);
+    teardownMission();
+    MISSION = mission;
+    missionSource = source;
+    window.__endHoldAt = null;
+
+    prepareForces(mission);
+    buildForces();
+    groupView = { hidden: new Set(), solo: null, focus: null };
+    renderLegend();
+    buildEventTypes();
+    buildDeathTimes();
+    buildReplayEvents();
+    buildAltRange();
+    applyMissionMeta(mission);
+    applyRadarConfig(mission);
+    initMap(mission);
+    buildLifecycles();
+    buildCameraKeys();
+    restart();
+    buildScrubTicks();
+    buildLogChips();
+    fillLogAircraft();
+
+    const title = mission?.meta?.title || "MISSION";
+    const sector = mission?.meta?.sector || "SECTOR";
+    pushLog({type:"note", text:`${title} • ${sector} • Replay initialized.`}, 0);
+
+    const first = (mission.aircraft || [])[0];
+    if (first) selectAircraft(first.id);
+    editPointIdx = null;
+    refreshEditor();
+    renderFrame(t);
+  }
+
+  function applyMissionMeta(mission){
+    const title = mission?.meta?.title || "Untitled mission";
+    const sector = mission?.meta?.sector || "";
+    elMissionTitle.textContent = title;
+    elSectorBadge.textContent = sector ? `SECTOR ${sector.split("/")[0].trim().toUpperCase()}` : "SECTOR —";
+    document.title = `Planes & Prejudice | ${title}`;
+  }
+
+  // -------- Campaign playlist
+  // A campaign file is { title, missions: [url | mission object, ...] }.
+  // Missions play in order behind a title card; tallies carry across them and
+  // a summary closes the run. A plain mission is a campaign of one for the
+  // summary. URLs resolve against the campaign file (or sibling picked files).
+  const TITLE_CARD_MS = 2600;
+  let campaign = null; // { title, entries: [{ mission, source }], index }
+  let tally = newTally();
+  let missionTallied = false;
+  let titleCardTimer = null;
+
+  function newTally(){
+    return { missions: 0, engagements: 0, kills: 0, losses: 0, pilots: new Map() };
+  }
+
+  const isCampaign = data => data != null && typeof data === "object" && Array.isArray(data.missions) && !Array.isArray(data.aircraft);
+
+  async function resolveCampaignEntry(entry, base, files){
+    if (entry && typeof entry === "object"){
+      return { mission: entry.type === "FeatureCollection" ? missionFromGeoJSON(entry) : entry, source: "inline" };
+    }
+    const name = String(entry).split("/").pop();
+    const file = files.find(f => f.name === name);
+    let data;
+    if (file){
+      data = JSON.parse(await file.text());
+    }else{
+      data = await fetchMission(new URL(entry, base).href);
+    }
+    if (data?.type === "FeatureCollection") data = missionFromGeoJSON(data);
+    return { mission: data, source: file ? `file:${file.name}` : String(entry) };
+  }
+
+  // Loads and validates every mission first: one bad sortie refuses the whole campaign
+  async function openCampaign(data, source, files=[]){
+    const base = source && !source.startsWith("file:") ? new URL(source, location.href).href : location.href;
+    const entries = [];
+    const problems = [];
+
+    for (let i = 0; i < data.missions.length; i++){
+      try{
+        const entry = await resolveCampaignEntry(data.missions[i], base, files);
+        for (const p of validateMission(entry.mission)){
+          problems.push({ ...p, path: `$.missions[${i}]${p.path.slice(1)}` });
+        }
+        entries.push(entry);
+      }catch(err){
+        problems.push({ level: "error", path: `$.missions[${i}]`, msg: `could not load ${JSON.stringify(data.missions[i])}: ${err.message}` });
+      }
+    }
+    if (!data.missions.length) problems.push({ level: "error", path: "$.missions", msg: "campaign lists no missions" });
+
+    renderValidation(problems);
+    if (problems.some(p => p.level === "error")){
+      if (!MISSION) elHudStatus.textContent = "INVALID";
+      return false;
+    }
+
+    campaign = { title: data.title || data.meta?.title || "Campaign", entries, index: 0 };
+    tally = newTally();
+    elEndMode.value = "next";
+    playCampaignMission(0);
+    return true;
+  }
+
+  function playCampaignMission(i){
+    campaign.index = i;
+    const { mission, source } = campaign.entries[i];
+    startMission(mission, source);
+    showTitleCard();
+  }
+
+  function showTitleCard(){
+    const m = MISSION.meta || {};
+    elTitleKicker.textContent = campaign
+      ? `${campaign.title.toUpperCase()} • MISSION ${campaign.index + 1} / ${campaign.entries.length}`
+      : "MISSION";
+    elTitleName.textContent = m.title || "Untitled mission";
+    elTitleMeta.textContent = [m.sector, m.author && `by ${m.author}`].filter(Boolean).join(" • ");
+    elTitleNote.textContent = m.note || "";
+    elTitleTally.textContent = tally.missions
+      ? `CAMPAIGN SO FAR: ${tally.missions} mission${tally.missions === 1 ? "" : "s"} • ${tally.kills} kills • ${tally.losses} losses`
+      : "";
+
+    setRunning(false);
+    elTitleCard.hidden = false;
+    clearTimeout(titleCardTimer);
+    titleCardTimer = setTimeout(hideTitleCard, TITLE_CARD_MS);
+  }
+
+  function hideTitleCard(){
+    clearTimeout(titleCardTimer);
+    if (elTitleCard.hidden) return;
+    elTitleCard.hidden = true;
+    setRunning(true);
+  }
+
+  function tallyPilot(ac){
+    if (!tally.pilots.has(ac.id)){
+      tally.pilots.set(ac.id, { callsign: ac.callsign, side: ac.side, sorties: 0, kills: 0, downed: 0 });
+    }
+    return tally.pilots.get(ac.id);
+  }
+
+  // Folds the finished mission into the running tally (once per play-through)
+  function tallyMission(){
+    if (missionTallied || !MISSION) return;
+    missionTallied = true;
+
+    tally.missions++;
+    tally.engagements += counts.engagements;
+    tally.kills += counts.kills;
+    tally.losses += counts.losses;
+
+    const byId = new Map((MISSION.aircraft || []).map(ac => [ac.id, ac]));
+    for (const ac of byId.values()) tallyPilot(ac).sorties++;
+    // same registry fields as counts.kills and buildDeathTimes
+    for (const ev of MISSION.events || []){
+      if (ev.t > missionDuration()) continue;
+      const type = eventType(ev.type);
+      if (type.counter === "kills" && byId.has(ev.actor)) tallyPilot(byId.get(ev.actor)).kills++;
+      if (type.downs && byId.has(ev.target)) tallyPilot(byId.get(ev.target)).downed++;
+    }
+  }
+
+  function finishMission(){
+    const mode = elEndMode.value;
+    if (mode === "loop"){
+      restart();
+      return;
+    }
+    if (mode === "stop"){
+      setRunning(false);
+      return;
+    }
+
+    tallyMission();
+    if (campaign && campaign.index + 1 < campaign.entries.length){
+      playCampaignMission(campaign.index + 1);
+    }else{
+      setRunning(false);
+      showSummary();
+    }
+  }
+
+  function showSummary(){
+    elSummaryTitle.textContent = campaign ? campaign.title : (MISSION.meta?.title || "Mission");
+    elSummaryTotals.textContent =
+      `${tally.missions} mission${tally.missions === 1 ? "" : "s"} • ${tally.engagements} engagements • ${tally.kills} kills • ${tally.losses} losses`;
+
+    const rows = [...tally.pilots.values()].sort((a, b) => b.kills - a.kills || a.callsign.localeCompare(b.callsign));
+    elSummaryBody.innerHTML = rows.map(p => `<tr>
+        <td>${escapeHtml(p.callsign)}</td>
+        <td style="color:${escapeHtml(forces.sides.get(p.side)?.color || "inherit")}">${escapeHtml(p.side)}</td>
+        <td>${p.sorties}</td>
+        <td>${p.kills}</td>
+        <td>${p.downed ? `${p.downed}×` : "—"}</td>
+      </tr>`).join("");
+    elSummaryModal.hidden = false;
+  }
+
+  function replayCampaign(){
+    elSummaryModal.hidden = true;
+    tally = newTally();
+    if (campaign){
+      playCampaignMission(0);
+    }else{
+      restart();
+      setRunning(true);
+    }
   }
 
-  // -------- Replay engine
-  let running = true;
-  let speed = 10;
-  let t = 0;
-  let lastTs = performance.now();
+  // running totals, live mission included
+  function updateCampaignChip(){
+    elCampaignChip.hidden = !campaign;
+    if (!campaign) return;
+    const live = missionTallied ? { kills: 0, losses: 0 } : counts;
+    elCampaignChip.textContent =
+      `MISSION ${campaign.index + 1}/${campaign.entries.length} • KILLS ${tally.kills + live.kills} • LOSSES ${tally.losses + live.losses}`;
+  }
 
-  let eventsFired = new Set();
-  let counts = { engagements: 0, kills: 0, losses: 0 };
+  // -------- Compare mode
+  // Overlays a second mission ("B") on the running one ("A") on one clock:
+  // ghost markers + dashed yellow routes, an event diff (added / removed /
+  // retimed) and per-aircraft divergence between the two versions.
+  const COMPARE_COLOR = "#ffe84a";
+  const DIVERGE_M = 100; // versions "split" once an aircraft is this far from itself
+  const DIVERGE_STEP_S = 1;
+  let compareState = null; // { mission, source, ghosts: Map id -> ghost, diff, divergence }
 
-  // Precompute target death times from kill events
-  let deathTimes = new Map();
-  function buildDeathTimes(){
-    deathTimes = new Map();
-    const evs = (MISSION?.events || []);
-    for (const ev of evs){
-      if (ev.type === 'kill' && ev.target){
-        const prev = deathTimes.get(ev.target);
-        if (prev == null || ev.t < prev) deathTimes.set(ev.target, ev.t);
+  // identity of an event regardless of its time; repeats are told apart by order
+  function eventIdentity(ev){
+    return [ev.type, ev.actor || "", ev.target || "",
+      typeof ev.lat === "number" ? ev.lat.toFixed(4) : "", typeof ev.lng === "number" ? ev.lng.toFixed(4) : ""].join("|");
+  }
+
+  function diffEvents(evsA, evsB){
+    const bucket = evs => {
+      const m = new Map();
+      for (const ev of [...evs].sort((x, y) => x.t - y.t)){
+        const k = eventIdentity(ev);
+        if (!m.has(k)) m.set(k, []);
+        m.get(k).push(ev);
+      }
+      return m;
+    };
+    const a = bucket(evsA || []), b = bucket(evsB || []);
+    const out = [];
+    for (const key of new Set([...a.keys(), ...b.keys()])){
+      const la = a.get(key) || [], lb = b.get(key) || [];
+      for (let i = 0; i < Math.max(la.length, lb.length); i++){
+        const ea = la[i], eb = lb[i];
+        if (ea && eb){
+          if (Math.abs(ea.t - eb.t) > 1e-6) out.push({ kind: "retimed", ev: eb, from: ea.t, t: eb.t });
+        }else if (eb){
+          out.push({ kind: "added", ev: eb, t: eb.t });
+        }else{
+          out.push({ kind: "removed", ev: ea, t: ea.t });
+        }
       }
     }
+    return out.sort((x, y) => x.t - y.t);
   }
 
-
-  function escapeHtml(str){
-    return String(str ?? "")
-      .replaceAll("&","&amp;")
-      .replaceAll("<","&lt;")
-      .replaceAll(">","&gt;")
-      .replaceAll('"',"&quot;")
-      .replaceAll("'","&#39;");
+  // Distance between each aircraft's A and B positions over the shared clock
+  function divergence(mA, mB){
+    const out = [];
+    const dur = Math.max(mA.duration_s || 0, mB.duration_s || 0);
+    for (const acB of mB.aircraft || []){
+      const acA = (mA.aircraft || []).find(ac => ac.id === acB.id);
+      if (!acA) continue;
+      const modeA = interpModeFor(acA, mA), modeB = interpModeFor(acB, mB);
+      const series = [];
+      let max = 0, maxT = 0, split = null;
+      for (let tt = 0; tt <= dur; tt += DIVERGE_STEP_S){
+        const d = distM(interpPath(acA.path, tt, modeA), interpPath(acB.path, tt, modeB));
+        series.push(d);
+        if (d > max){ max = d; maxT = tt; }
+        if (split == null && d > DIVERGE_M) split = tt;
+      }
+      out.push({ id: acB.id, callsign: acB.callsign, series, max, maxT, split });
+    }
+    return out;
   }
 
-  function pushLog(ev, now){
-    const line = document.createElement("div");
-    line.className = "logLine";
-    const typeClass = ev.type === "contact" ? "tContact" :
-                      ev.type === "engagement" ? "tEngage" :
-                      ev.type === "kill" || ev.type === "impact" ? "tKill" :
-                      ev.type === "loss" ? "tLoss" : "tNote";
+  function openCompare(mission, source){
+    const problems = validateMission(mission);
+    renderValidation(problems.map(p => ({ ...p, path: `B:${p.path}` })));
+    if (problems.some(p => p.level === "error")) return false;
+    clearCompare();
+    prepareForces(mission);
 
-    line.innerHTML = `
-      <div><span class="logTime">${fmtClock(now)}</span>
-      <span class="logType ${typeClass}">${String(ev.type || "").toUpperCase()}</span></div>
-      <div class="logText">text</div>
-    `;
+    // B's own kills: its ghosts stop and fade out there
+    const downs = deathTimesOf(mission.events);
+    const ghosts = new Map();
+    for (const ac of mission.aircraft){
+      const interp = interpModeFor(ac, mission);
+      const samples = routeSamples(ac.path, interp);
+      ghosts.set(ac.id, {
+        cfg: ac,
+        interp,
+        downAt: downs.get(ac.id) ?? Infinity,
+        route: L.polyline(samples.map(p => [p.lat, p.lng]), {
+          color: COMPARE_COLOR, weight: 2, opacity: 0.45, dashArray: "2 8", interactive: false
+        }).addTo(map),
+        // A -> B connector, drawn once the versions split
+        link: L.polyline([], { color: COMPARE_COLOR, weight: 1, opacity: 0.7, dashArray: "1 4", interactive: false }).addTo(map),
+        marker: L.marker([ac.path[0].lat, ac.path[0].lng], { icon: makeGhostIcon(ac), interactive: false, keyboard: false }).addTo(map)
+      });
+    }
 
-    elTimeline.prepend(line);
-    elStatLast.textContent = `${fmtClock(now)} ${String(ev.type || "").toUpperCase()}: text`;
-    gsap.fromTo(line, {y: 10, opacity: 0}, {y: 0, opacity: 1, duration: 0.22, ease: "power2.out"});
+    compareState = {
+      mission, source, ghosts,
+      diff: diffEvents(MISSION.events, mission.events),
+      divergence: divergence(MISSION, mission)
+    };
+    elBtnCompare.classList.add("btnActive");
+    buildScrubTicks();
+    renderCompare();
+    seek(t);
+    return true;
   }
 
-  function fireEvent(ev, now){
-    pushLog(ev, now);
+  // `reseek` is off when a new mission is about to replace everything anyway
+  function clearCompare(reseek=true){
+    if (!compareState) return;
+    for (const g of compareState.ghosts.values()){
+      for (const layer of [g.route, g.link, g.marker]) map.removeLayer(layer);
+    }
+    compareState = null;
+    elBtnCompare.classList.remove("btnActive");
+    elCompare.hidden = true;
+    if (MISSION && reseek){
+      buildScrubTicks();
+      seek(t);
+    }
+  }
 
-    if (ev.type === "engagement"){
-      counts.engagements++;
-      const a = aircraftState.get(ev.actor);
-      const p = a?.lastPos;
-      if (p) addGunBurst(p.lat, p.lng);
+  async function loadCompareFile(file){
+    let mission;
+    try{
+      mission = JSON.parse(await file.text());
+    }catch(err){
+      renderValidation([{ level: "error", path: "B:$", msg: `${file.name}: not valid JSON (${err.message})` }]);
+      return false;
     }
+    if (mission?.type === "FeatureCollection") mission = missionFromGeoJSON(mission);
+    return openCompare(mission, `file:${file.name}`);
+  }
 
-    if (ev.type === "kill"){
-      counts.kills++;
-      const tgt = aircraftState.get(ev.target);
-      if (tgt) tgt.dead = true;
-      const a = aircraftState.get(ev.actor);
-      const p = a?.lastPos;
-      if (p) addGunBurst(p.lat, p.lng);
+  function updateCompare(now){
+    if (!compareState) return;
+    for (const [id, g] of compareState.ghosts){
+      const down = now >= g.downAt;
+      const p = flightData(g.cfg.path, down ? g.downAt : now, g.interp);
+      if (!p) continue;
+      g.marker.setLatLng([p.lat, p.lng]);
+      // shot down in B: hold where it happened and fade out over the fall
+      g.marker.setOpacity(down ? clamp(1 - (now - g.downAt) / CRASH_FALL_S, 0, 1) : 1);
+      const glyph = g.marker.getElement()?.querySelector(".planeGlyph");
+      if (glyph) glyph.style.setProperty("--hdg", `${p.hdg}deg`);
+
+      const a = aircraftState.get(id)?.lastPos;
+      g.link.setLatLngs(!down && a && distM(a, p) > DIVERGE_M ? [[a.lat, a.lng], [p.lat, p.lng]] : []);
     }
+  }
+
+  function renderCompare(){
+    const c = compareState;
+    const n = kind => c.diff.filter(d => d.kind === kind).length;
+    const evLabel = ev => `${String(ev.type || "").toUpperCase()} ${[ev.actor, ev.target].filter(Boolean).join(" → ")}`;
 
-    if (ev.type === "impact" && typeof ev.lat === "number" && typeof ev.lng === "number"){
-      addImpact(ev.lat, ev.lng);
+    elCompare.innerHTML = "";
+    const head = document.createElement("div");
+    head.className = "cHead";
+    head.innerHTML = `<span>COMPARE: A ${escapeHtml(MISSION.meta?.title || missionSource || "current")}
+      <span class="cB">⟷ B ${escapeHtml(c.mission.meta?.title || c.source)}</span></span>`;
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "btn btnSmall";
+    close.textContent = "CLOSE";
+    close.addEventListener("click", ()=> clearCompare());
+    head.appendChild(close);
+    elCompare.appendChild(head);
+
+    const sum = document.createElement("div");
+    sum.className = "cSub";
+    sum.textContent = c.diff.length
+      ? `EVENTS: ${n("retimed")} retimed • ${n("added")} added • ${n("removed")} removed`
+      : "EVENTS: identical";
+    elCompare.appendChild(sum);
+
+    for (const d of c.diff){
+      const line = document.createElement("button");
+      line.type = "button";
+      line.className = `cLine c_${d.kind}`;
+      const when = d.kind === "retimed"
+        ? `${fmtClock(d.from)} → ${fmtClock(d.t)} (${d.t - d.from > 0 ? "+" : ""}${(d.t - d.from).toFixed(1)} s)`
+        : fmtClock(d.t);
+      line.innerHTML = `<span class="cKind">${d.kind.toUpperCase()}</span> <span class="cWhen">${when}</span> ${escapeHtml(evLabel(d.ev))}`;
+      line.addEventListener("click", ()=> seek(d.t));
+      elCompare.appendChild(line);
     }
 
-    if (ev.type === "loss"){
-      counts.losses++;
-      elLossesChip.textContent = `LOSSES: ${counts.losses}`;
+    const dh = document.createElement("div");
+    dh.className = "cSub";
+    dh.textContent = `DIVERGENCE (split > ${DIVERGE_M} m)`;
+    elCompare.appendChild(dh);
+
+    for (const dv of c.divergence){
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = "cLine cDiv";
+      const spark = document.createElement("canvas");
+      spark.width = 120;
+      spark.height = 22;
+      drawSparkline(spark, dv);
+      row.append(
+        Object.assign(document.createElement("span"), { className: "cCall", textContent: dv.callsign }),
+        spark,
+        Object.assign(document.createElement("span"), {
+          textContent: dv.max < 1
+            ? "identical"
+            : `max ${fmtDistance(dv.max)} @ ${fmtClock(dv.maxT)} • ${dv.split == null ? "no split" : `split ${fmtClock(dv.split)}`}`
+        })
+      );
+      row.addEventListener("click", ()=> seek(dv.split ?? 0));
+      elCompare.appendChild(row);
     }
+    elCompare.hidden = false;
   }
 
-  function updateMap(now){
-    const showTrails = !!elTrails.checked;
-    const showLabels = !!elLabels.checked;
+  function fmtDistance(m){
+    return m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.round(m)} m`;
+  }
 
-    for (const [id, st] of aircraftState.entries()){
-      if (st.dead) {
-  const me = st.marker.getElement();
-  const le = st.label.getElement();
-  if (me) me.style.opacity = "0.20";
-  if (le) le.style.opacity = "0.0";
-  if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: 0.10 });
-  st.trailLine.setStyle({ opacity: 0.18 });
-  continue;
-}
+  function drawSparkline(cv, dv){
+    const ctx = cv.getContext("2d");
+    const W = cv.width, H = cv.height;
+    const top = Math.max(dv.max, DIVERGE_M * 2);
+    ctx.clearRect(0, 0, W, H);
+    // split threshold
+    ctx.strokeStyle = "rgba(255,255,255,0.18)";
+    ctx.beginPath();
+    ctx.moveTo(0, H - 1 - (DIVERGE_M / top) * (H - 2));
+    ctx.lineTo(W, H - 1 - (DIVERGE_M / top) * (H - 2));
+    ctx.stroke();
 
-      const pos = interpPath(st.cfg.path, now);
-      if (!pos) continue;
-      st.lastPos = pos;
+    ctx.strokeStyle = COMPARE_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    dv.series.forEach((d, i) => {
+      const x = dv.series.length > 1 ? i / (dv.series.length - 1) * W : 0;
+      const y = H - 1 - (d / top) * (H - 2);
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+  }
 
-      st.marker.setLatLng([pos.lat, pos.lng]);
-      st.label.setLatLng([pos.lat, pos.lng]);
+  // -------- Debrief
+  // Post-mission numbers straight from MISSION.aircraft / MISSION.events (no
+  // replay state), so any mission file gets the same report.
+  const DEBRIEF_STEP_S = 1;   // path sampling for distance / speed
+  const DENSITY_BIN_S = 10;   // timeline density chart bucket
+  const TYPE_COLORS = {
+    tContact: "#28d7ff", tEngage: "#ff00b8", tKill: "#ffe84a", tLoss: "#ff2bd6",
+    tNote: "#b6ff2e", tProx: "#8b5bff", tRadio: "#28d7ff", tFlak: "#ffa03c"
+  };
 
-      const node = st.marker.getElement();
-      if (node){
-        const glyph = node.querySelector(".planeGlyph");
-        if (glyph) glyph.style.setProperty("--hdg", `${pos.hdg}deg`);
+  function computeDebrief(m){
+    const types = mergeEventTypes(m);
+    const kind = ev => types[ev.type] || {};
+    const evs = [...(m.events || [])].filter(ev => typeof ev.t === "number").sort((a, b) => a.t - b.t);
+    const dur = m.duration_s || 120;
+
+    const aircraft = (m.aircraft || []).filter(ac => ac.path?.length).map(ac => {
+      const mode = interpModeFor(ac, m);
+      const mine = (effect, who = ev => ev.actor) => evs.find(ev => kind(ev).effect === effect && who(ev) === ac.id);
+      const killed = evs.find(ev => kind(ev).downs && ev.target === ac.id);
+      const start = mine("takeoff")?.t ?? ac.path[0].t;
+      const end = Math.min(ac.path[ac.path.length-1].t, killed?.t ?? Infinity, mine("landing")?.t ?? Infinity, dur);
+
+      let dist = 0, vmax = 0;
+      let prev = interpPath(ac.path, start, mode);
+      for (let tt = start + DEBRIEF_STEP_S; tt <= end + 1e-9; tt += DEBRIEF_STEP_S){
+        const p = interpPath(ac.path, Math.min(tt, end), mode);
+        const d = distM(prev, p);
+        dist += d;
+        vmax = Math.max(vmax, d / DEBRIEF_STEP_S);
+        prev = p;
       }
+      const airborne = Math.max(0, end - start);
+      return {
+        id: ac.id,
+        callsign: ac.callsign || ac.id,
+        side: ac.side,
+        color: styleOf(ac).color,
+        track: routeSamples(ac.path, mode).filter(p => p.t <= end),
+        dist,
+        airborne,
+        vavg: airborne > 0 ? dist / airborne : 0,
+        vmax,
+        engagements: evs.filter(ev => kind(ev).counter === "engagements" && ev.actor === ac.id).length,
+        kills: evs.filter(ev => kind(ev).counter === "kills" && ev.actor === ac.id).length,
+        downAt: killed?.t ?? null
+      };
+    });
 
-      const lnode = st.label.getElement();
-      if (lnode){
-        lnode.style.opacity = showLabels ? "1" : "0";
-        const dt = deathTimes.get(st.cfg.id);
-        const imminent = (typeof dt === "number") && now >= (dt - 3) && now < dt && !st.dead;
-        const inner = lnode.querySelector(".planeLabel");
-        if (inner) inner.classList.toggle("danger", imminent);
-}
+    // time-to-kill: from the shooter's first engagement of that target
+    // (kills are duel events too, so they don't count as the engagement)
+    const kills = evs.filter(ev => kind(ev).downs && ev.target).map(k => {
+      const first = evs.find(ev => kind(ev).duel && !kind(ev).downs &&
+        ev.actor === k.actor && ev.target === k.target && ev.t <= k.t);
+      return { actor: k.actor, target: k.target, t: k.t, from: first?.t ?? null, ttk: first ? k.t - first.t : null };
+    });
 
-      if (showTrails){
-  // Ensure the full (dashed) route is visible
-  if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: 0.18 });
+    const bins = [];
+    for (let b = 0; b * DENSITY_BIN_S < dur; b++) bins.push(new Map());
+    for (const ev of evs){
+      const bin = bins[Math.min(bins.length - 1, Math.floor(ev.t / DENSITY_BIN_S))];
+      if (!bin) continue;
+      const color = kind(ev).color || TYPE_COLORS[kind(ev).cls] || TYPE_COLORS.tNote;
+      bin.set(color, (bin.get(color) || 0) + 1);
+    }
 
-  // Append any newly reached path points to the traveled history
-  const path = st.cfg.path || [];
-  let idx = st.pathIdx || 0;
+    const impacts = evs.filter(ev => kind(ev).effect === "impact" && typeof ev.lat === "number" && typeof ev.lng === "number");
+    return { title: m.meta?.title || "Mission", dur, events: evs.length, aircraft, kills, bins, impacts };
+  }
+
+  const fmtKm = m => `${(m / 1000).toFixed(1)} km`;
+  const fmtKmh = ms => `${Math.round(ms * 3.6)} km/h`;
+  const fmtSecs = s => s == null ? "—" : `${Math.round(s)} s`;
 
-  while (idx < path.length && path[idx].t <= now){
-    st.trailPts.push([path[idx].lat, path[idx].lng]);
-    idx++;
+  function drawDensityChart(cv, d){
+    const ctx = cv.getContext("2d");
+    const W = cv.width, H = cv.height, pad = 18;
+    const top = Math.max(1, ...d.bins.map(b => [...b.values()].reduce((a, n) => a + n, 0)));
+    const bw = (W - pad) / d.bins.length;
+    ctx.fillStyle = "#14062a";
+    ctx.fillRect(0, 0, W, H);
+    d.bins.forEach((bin, i) => {
+      let y = H - pad;
+      for (const [color, n] of bin){
+        const h = n / top * (H - pad * 2);
+        ctx.fillStyle = color;
+        ctx.fillRect(pad + i * bw + 1, y - h, Math.max(1, bw - 2), h);
+        y -= h;
+      }
+    });
+    ctx.fillStyle = "rgba(255,247,255,.6)";
+    ctx.font = "10px ui-monospace, monospace";
+    ctx.fillText(`${top}`, 2, pad);
+    ctx.fillText("0", 2, H - pad);
+    for (let s = 0; s <= d.dur; s += 60){
+      ctx.fillText(fmtClock(s), pad + s / DENSITY_BIN_S * bw, H - 4);
+    }
   }
-  st.pathIdx = idx;
 
-  // Always include current interpolated position as the last point (smooth head)
-  const pts = st.trailPts.length ? st.trailPts.slice() : [];
-  pts.push([pos.lat, pos.lng]);
+  // every track on one static plate, fitted to its own bounds (Mercator)
+  function drawTrackMap(cv, d){
+    const ctx = cv.getContext("2d");
+    const W = cv.width, H = cv.height, pad = 28;
+    const merc = lat => Math.log(Math.tan(Math.PI / 4 + lat * RAD_PER_DEG / 2));
+    const pts = [...d.aircraft.flatMap(a => a.track), ...d.impacts];
+    ctx.fillStyle = "#14062a";
+    ctx.fillRect(0, 0, W, H);
+    if (!pts.length) return;
 
-  st.trailLine.setLatLngs(pts);
-  st.trailLine.setStyle({ opacity: 0.62 });
-}else{
-  // Hide both route lines when trails are off
-  st.trailLine.setLatLngs([]);
-  if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: 0 });
-}
+    const x0 = Math.min(...pts.map(p => p.lng)), x1 = Math.max(...pts.map(p => p.lng));
+    const y0 = Math.min(...pts.map(p => merc(p.lat))), y1 = Math.max(...pts.map(p => merc(p.lat)));
+    const k = Math.min((W - pad * 2) / Math.max((x1 - x0) * RAD_PER_DEG, 1e-9), (H - pad * 2) / Math.max(y1 - y0, 1e-9));
+    const ox = (W - (x1 - x0) * RAD_PER_DEG * k) / 2, oy = (H - (y1 - y0) * k) / 2;
+    const px = p => [ox + (p.lng - x0) * RAD_PER_DEG * k, H - oy - (merc(p.lat) - y0) * k];
+
+    ctx.lineWidth = 2;
+    ctx.font = "11px ui-monospace, monospace";
+    for (const a of d.aircraft){
+      if (!a.track.length) continue;
+      const col = a.color;
+      ctx.strokeStyle = col;
+      ctx.beginPath();
+      a.track.forEach((p, i) => i ? ctx.lineTo(...px(p)) : ctx.moveTo(...px(p)));
+      ctx.stroke();
+      const [sx, sy] = px(a.track[0]);
+      const [ex, ey] = px(a.track[a.track.length-1]);
+      ctx.fillStyle = col;
+      ctx.beginPath();
+      ctx.arc(sx, sy, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(a.downAt != null ? `✖ ${a.callsign}` : a.callsign, ex + 5, ey - 5);
+    }
+    for (const ev of d.impacts){
+      const [x, y] = px(ev);
+      ctx.strokeStyle = "#ffe84a";
+      ctx.beginPath();
+      ctx.arc(x, y, 7, 0, Math.PI * 2);
+      ctx.moveTo(x - 10, y); ctx.lineTo(x + 10, y);
+      ctx.moveTo(x, y - 10); ctx.lineTo(x, y + 10);
+      ctx.stroke();
     }
+  }
 
-    // Keep the map centered (throttled) if FOLLOW is enabled
-    maybeFollowMap();
+  function debriefRows(d){
+    return d.aircraft.map(a => [a.callsign, a.side, fmtKm(a.dist), fmtSecs(a.airborne), fmtKmh(a.vavg), fmtKmh(a.vmax),
+      String(a.engagements), String(a.kills)]);
   }
+  const DEBRIEF_HEAD = ["AIRCRAFT", "SIDE", "DISTANCE", "AIRBORNE", "AVG SPEED", "MAX SPEED", "ENGAGED", "KILLS"];
 
-  function updateRadar(now){
-    resizeRadarCanvas();
-    const W = __radarW, H = __radarH;
-    const c = MISSION.center || {lat: 51.505, lng: -0.09};
-    const cx = W/2, cy = H/2;
-    const rMax = Math.min(W,H)*0.46;
+  function killLines(d){
+    const name = id => d.aircraft.find(a => a.id === id)?.callsign || id;
+    return d.kills.map(k => `${fmtClock(k.t)} ${name(k.actor)} → ${name(k.target)}: ` +
+      (k.ttk == null ? "no prior engagement" : `${fmtSecs(k.ttk)} from first engagement at ${fmtClock(k.from)}`));
+  }
 
-    drawRadarFrame(W,H);
-    drawRadarSweep(W,H);
+  let debrief = null;
 
-    let contacts = 0;
+  function openDebrief(){
+    if (!MISSION) return;
+    debrief = computeDebrief(MISSION);
+    elDebriefTitle.textContent = debrief.title;
+    elDebriefMeta.textContent = `${fmtClock(debrief.dur)} • ${debrief.aircraft.length} aircraft • ${debrief.events} events`;
+    elDebriefBody.innerHTML = debriefRows(debrief)
+      .map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("");
+    elDebriefKills.innerHTML = killLines(debrief).map(l => `<li>${escapeHtml(l)}</li>`).join("") || "<li>No kills.</li>";
+    drawDensityChart(elDebriefDensity, debrief);
+    drawTrackMap(elDebriefMap, debrief);
+    elDebriefModal.hidden = false;
+  }
 
-    for (const [id, st] of aircraftState.entries()){
-      if (st.dead) continue;
-      const p = st.lastPos || interpPath(st.cfg.path, now);
-      if (!p) continue;
-      const v = latLngToRadar(p.lat, p.lng, c);
+  function debriefHtml(d){
+    const rows = debriefRows(d).map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("\n");
+    return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8" /><title>Debrief — ${escapeHtml(d.title)}</title>
+<style>
+body{ font:14px/1.45 ui-monospace, Menlo, Consolas, monospace; background:#12001f; color:#fff7ff; margin:32px; }
+table{ border-collapse:collapse; margin:12px 0 24px; }
+th, td{ padding:6px 12px; border-bottom:1px solid rgba(255,255,255,.15); text-align:left; }
+th{ color:rgba(255,247,255,.6); font-weight:normal; }
+img{ display:block; max-width:100%; margin:8px 0 24px; border:1px solid rgba(255,255,255,.18); }
+</style></head><body>
+<h1>Debrief: ${escapeHtml(d.title)}</h1>
+<p>${fmtClock(d.dur)} • ${d.aircraft.length} aircraft • ${d.events} events</p>
+<h2>Aircraft</h2>
+<table><thead><tr>${DEBRIEF_HEAD.map(h => `<th>${h}</th>`).join("")}</tr></thead>
+<tbody>
+${rows}
+</tbody></table>
+<h2>Kills</h2>
+<ul>${killLines(d).map(l => `<li>${escapeHtml(l)}</li>`).join("") || "<li>No kills.</li>"}</ul>
+<h2>Event density (${DENSITY_BIN_S} s bins)</h2>
+<img alt="Event density chart" src="${elDebriefDensity.toDataURL("image/png")}" />
+<h2>Tracks</h2>
+<img alt="Map of all tracks with impacts" src="${elDebriefMap.toDataURL("image/png")}" />
+</body></html>
+`;
+  }
 
-      const sx = cx + (v.dx * 0.04);
-      const sy = cy - (v.dy * 0.04);
+  function debriefMarkdown(d){
+    const cell = c => String(c).replaceAll("|", "\\|");
+    return [
+      `# Debrief: ${d.title}`,
+      "",
+      `${fmtClock(d.dur)} • ${d.aircraft.length} aircraft • ${d.events} events`,
+      "",
+      "## Aircraft",
+      "",
+      `| ${DEBRIEF_HEAD.join(" | ")} |`,
+      `|${DEBRIEF_HEAD.map(() => "---").join("|")}|`,
+      ...debriefRows(d).map(r => `| ${r.map(cell).join(" | ")} |`),
+      "",
+      "## Kills",
+      "",
+      ...(d.kills.length ? killLines(d).map(l => `- ${l}`) : ["- No kills."]),
+      "",
+      `## Event density (${DENSITY_BIN_S} s bins)`,
+      "",
+      `![Event density chart](${elDebriefDensity.toDataURL("image/png")})`,
+      "",
+      "## Tracks",
+      "",
+      `![Map of all tracks with impacts](${elDebriefMap.toDataURL("image/png")})`,
+      ""
+    ].join("\n");
+  }
 
-      const dx = sx - cx, dy = sy - cy;
-      const d = Math.hypot(dx, dy);
-      if (d > rMax) continue;
+  // -------- Deep links
+  // The hash mirrors the current moment:
+  //   #m=<mission url>&t=66.2&s=8&play=0&sel=ELIZABETH&crt=1&trails=1&labels=1&cones=0&cam=off&c=51.52,-0.12&z=12
+  // It's rewritten with replaceState (never pushState), so the history stays clean.
+  const LINK_SYNC_MS = 500;
+  const LINK_TOGGLES = { crt: elCRT, trails: elTrails, labels: elLabels, cones: elCones };
+  let linkSyncedAt = -Infinity;
 
-      contacts++;
-      const dt = deathTimes.get(st.cfg.id);
-      const imminent = (typeof dt === 'number') && now >= (dt - 3) && now < dt && !st.dead;
-      drawBlip(sx, sy, st.cfg.side, st.cfg.callsign, !!elLabels.checked, imminent);
-    }
+  function readLinkState(){
+    return Object.fromEntries(new URLSearchParams(location.hash.replace(/^#/, "")));
+  }
 
-    elHudContacts.textContent = String(contacts);
-    elHudEng.textContent = String(counts.engagements);
-    elHudKills.textContent = String(counts.kills);
-    elStatTracks.textContent = String(contacts);
+  // a picked or dropped file can't be re-opened from a URL, and its time,
+  // selection and view mean nothing against ./mission.json
+  function missionLinkable(){
+    return !missionSource?.startsWith("file:");
+  }
 
-    const blitz = clamp((counts.engagements*6 + counts.kills*10 + counts.losses*8) / 60, 0.08, 1);
-    elMeterBlitz.style.width = `${Math.round(blitz*100)}%`;
+  function linkHash(){
+    const q = new URLSearchParams();
+    if (missionSource) q.set("m", missionSource);
+    if (compareState && !compareState.source.startsWith("file:")) q.set("cmp", compareState.source);
+    q.set("t", String(Math.round(t * 10) / 10));
+    q.set("s", String(speed));
+    q.set("play", running ? "1" : "0");
+    if (selectedId) q.set("sel", selectedId);
+    for (const [k, el] of Object.entries(LINK_TOGGLES)) q.set(k, el.checked ? "1" : "0");
+    q.set("cam", cameraMode);
+    const c = map.getCenter();
+    q.set("c", `${c.lat.toFixed(5)},${c.lng.toFixed(5)}`);
+    q.set("z", String(Math.round(map.getZoom() * 100) / 100));
+    return `#${q.toString().replaceAll("%2C", ",").replaceAll("%2F", "/")}`;
   }
 
-  function updateEvents(now){
-    const evs = MISSION.events || [];
-    for (let i=0;i<evs.length;i++){
-      const ev = evs[i];
-      const key = `${ev.type}:${ev.t}:${ev.actor || ""}:${ev.target || ""}`;
-      if (eventsFired.has(key)) continue;
-      if (now >= ev.t){
-        eventsFired.add(key);
-        fireEvent(ev, now);
+  // called every frame; writes at most every LINK_SYNC_MS and only on change
+  function syncLink(ts){
+    if (!MISSION || !map || rendering || campaign || ts - linkSyncedAt < LINK_SYNC_MS) return;
+    linkSyncedAt = ts;
+    if (!missionLinkable()){
+      if (location.hash) history.replaceState(null, "", location.pathname + location.search);
+      return;
+    }
+    const hash = linkHash();
+    if (hash !== location.hash) history.replaceState(null, "", hash);
+  }
+
+  async function applyLinkState(st){
+    if (!MISSION) return;
+    if (st.cmp && !compareState){
+      try{
+        openCompare(await fetchMission(st.cmp), st.cmp);
+      }catch(err){
+        renderValidation([{ level: "error", path: "B:$", msg: `could not load ${st.cmp}: ${err.message}` }]);
       }
     }
+    for (const [k, el] of Object.entries(LINK_TOGGLES)){
+      if (st[k] == null || el.checked === (st[k] === "1")) continue;
+      el.checked = st[k] === "1";
+      el.dispatchEvent(new Event("change"));
+    }
+    const s = Number(st.s);
+    if (st.s && Number.isFinite(s) && s !== 0){
+      elSpeed.value = String(clamp(Math.abs(s), Number(elSpeed.min) || 1, Number(elSpeed.max) || 30));
+      setSpeed(s);
+    }
+    if (st.play != null) setRunning(st.play === "1");
+    if (aircraftState.has(st.sel)) selectAircraft(st.sel);
+    if (st.t != null) seek(st.t);
+    if (CAMERA_MODES.includes(st.cam)) setCameraMode(st.cam);
+    const [lat, lng] = String(st.c || "").split(",").map(Number);
+    const z = Number(st.z);
+    if (Number.isFinite(lat) && Number.isFinite(lng) && st.c){
+      setViewExact([lat, lng], Number.isFinite(z) && st.z ? z : map.getZoom(), { animate: false });
+    }
   }
 
-  function tick(ts){
-    const dt = (ts - lastTs) / 1000;
-    lastTs = ts;
+  async function copyLink(){
+    if (!missionLinkable()){
+      elBtnLink.textContent = "LOCAL FILE: NO LINK";
+      setTimeout(()=> { elBtnLink.textContent = "LINK"; }, 1500);
+      return;
+    }
+    history.replaceState(null, "", linkHash());
+    const url = location.href;
+    try{
+      await navigator.clipboard.writeText(url);
+      elBtnLink.textContent = "COPIED";
+    }catch(err){
+      // no clipboard (insecure origin, denied): let the user copy it
+      window.prompt("Link to this moment:", url);
+    }
+    setTimeout(()=> { elBtnLink.textContent = "LINK"; }, 1500);
+  }
 
-    if (running){
-      t += dt * speed;
-      const dur = (MISSION.duration_s || 120);
-      if (t > dur) t = dur;
+  // -------- Keyboard control & command palette
+  // COMMANDS drives the key handler, the palette and the help overlay alike.
+  // `keys` are chords as keyChord() spells them.
+  const SEEK_JUMP_S = 10;
+  const SPEED_PRESETS = [1, 2, 4, 6, 8, 10, 15, 20, 25, 30]; // keys 1..9, 0
+  let paletteIdx = 0;
 
-      // AUTO_RESTART: loop the replay
-      if (t >= dur){
-        // small hold at end so "END" is visible
-        if (!window.__endHoldAt) window.__endHoldAt = ts;
-        const held = (ts - window.__endHoldAt) / 1000;
-        if (held >= 0.8){
-          window.__endHoldAt = null;
-          restart();
-          t = 0;
-        }
-      }
+  const COMMANDS = [
+    { label: "Play / pause", keys: ["Space"], run: ()=> setRunning(!running) },
+    { label: "Restart", keys: ["R"], run: ()=> { restart(); setRunning(true); } },
+    { label: "Step back 1 s", keys: ["ArrowLeft"], run: ()=> stepFrame(-1) },
+    { label: "Step forward 1 s", keys: ["ArrowRight"], run: ()=> stepFrame(1) },
+    { label: `Seek back ${SEEK_JUMP_S} s`, keys: ["Shift+ArrowLeft"], run: ()=> seek(t - SEEK_JUMP_S) },
+    { label: `Seek forward ${SEEK_JUMP_S} s`, keys: ["Shift+ArrowRight"], run: ()=> seek(t + SEEK_JUMP_S) },
+    { label: "Reverse direction", keys: ["B"], run: ()=> setSpeed(-speed) },
+    { label: "Speed up", keys: ["ArrowUp"], run: ()=> setSpeedMagnitude(Math.abs(speed) + 1) },
+    { label: "Slow down", keys: ["ArrowDown"], run: ()=> setSpeedMagnitude(Math.abs(speed) - 1) },
+    ...SPEED_PRESETS.map((v, i) => ({
+      label: `Speed ${v}x`, keys: [String((i + 1) % 10)], run: ()=> setSpeedMagnitude(v)
+    })),
+    { label: "Next aircraft", keys: ["Tab"], run: ()=> cycleAircraft(1) },
+    { label: "Previous aircraft", keys: ["Shift+Tab"], run: ()=> cycleAircraft(-1) },
+    { label: "Toggle CRT", keys: ["C"], run: ()=> toggleCheckbox(elCRT) },
+    { label: "Toggle trails", keys: ["T"], run: ()=> toggleCheckbox(elTrails) },
+    { label: "Toggle labels", keys: ["L"], run: ()=> toggleCheckbox(elLabels) },
+    { label: "Toggle gun cones", keys: ["G"], run: ()=> toggleCheckbox(elCones) },
+    { label: "Toggle audio", keys: ["M"], run: ()=> setAudio(!audioOn) },
+    { label: "Toggle follow (chase camera)", keys: ["F"], run: ()=> setCameraMode(cameraMode === "chase" ? "off" : "chase") },
+    { label: "Next camera mode", keys: ["V"], run: cycleCamera },
+    { label: "Open mission…", keys: ["O"], run: ()=> elMissionFile.click() },
+    { label: "Toggle editor", keys: ["E"], run: ()=> setEditing(!editing) },
+    { label: "Compare with…", keys: [], run: ()=> elBtnCompare.click() },
+    { label: "Render video…", keys: [], run: ()=> elBtnRender.click() },
+    { label: "Copy link to this moment", keys: [], run: copyLink },
+    { label: "Debrief report", keys: ["D"], run: openDebrief },
+    { label: "Search the log", keys: ["/"], run: ()=> elLogSearch.focus() },
+    { label: "Command palette", keys: ["Ctrl+K"], run: openPalette },
+    { label: "Keyboard help", keys: ["?"], run: ()=> { elHelpModal.hidden = false; } },
+  ];
 
-      elClock.textContent = fmtClock(t);
+  // "Shift+" only prefixes non-printing keys; "?" or "K" already say it
+  function keyChord(e){
+    const name = e.code === "Space" ? "Space" : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const mods = (e.ctrlKey || e.metaKey ? "Ctrl+" : "") + (e.altKey ? "Alt+" : "") +
+      (e.shiftKey && e.key.length > 1 ? "Shift+" : "");
+    return mods + name;
+  }
 
-      updateMap(t);
-      updateEvents(t);
-      updateRadar(t);
+  function fmtChord(chord){
+    return chord.replace("Arrow", "").replace("Left", "←").replace("Right", "→").replace("Up", "↑").replace("Down", "↓");
+  }
 
-      elHudStatus.textContent = t >= (MISSION.duration_s || 120) ? "END" : "ARMED";
-    }
+  function setSpeedMagnitude(v){
+    const mag = clamp(v, Number(elSpeed.min) || 1, Number(elSpeed.max) || 30);
+    elSpeed.value = String(mag);
+    setSpeed(mag * (speed < 0 ? -1 : 1));
+  }
 
-    requestAnimationFrame(tick);
+  function cycleAircraft(dir){
+    const ids = [...aircraftState.keys()];
+    if (!ids.length) return;
+    // nothing selected yet: Tab lands on the first, Shift-Tab on the last
+    const i = ids.includes(selectedId) ? ids.indexOf(selectedId) : (dir > 0 ? -1 : 0);
+    selectAircraft(ids[(i + dir + ids.length) % ids.length]);
   }
 
-  function setRunning(v){ running = v; }
+  function cycleCamera(){
+    const modes = CAMERA_MODES.filter(m => m !== "script" || cameraKeys.length);
+    setCameraMode(modes[(modes.indexOf(cameraMode) + 1) % modes.length]);
+  }
 
-  function restart(){
-    t = 0;
-    eventsFired.clear();
-    counts = { engagements: 0, kills: 0, losses: 0 };
-    elLossesChip.textContent = "LOSSES: 0";
-    elActiveChip.textContent = "ACTIVE: NONE";
-    elStatSel.textContent = "NONE";
-    selectedId = null;
+  // keyboard flips go through "change" like a click would; trails and labels
+  // are read per frame, so a paused replay is redrawn at once
+  function toggleCheckbox(el){
+    el.checked = !el.checked;
+    el.dispatchEvent(new Event("change"));
+    if (!running && MISSION) seek(t);
+  }
 
-    for (const [id, st] of aircraftState.entries()){
-      st.dead = false;
-      st.trailPts = [];
-      st.pathIdx = 0;
-      st.trailLine.setLatLngs([]);
-      if (st.routeAllLine) st.routeAllLine.setStyle({ opacity: (elTrails && elTrails.checked) ? 0.18 : 0 });
-      const pos = interpPath(st.cfg.path, 0) || st.lastPos;
-      if (pos){
-        st.lastPos = pos;
-        st.marker.setLatLng([pos.lat, pos.lng]);
-        st.label.setLatLng([pos.lat, pos.lng]);
-      }
-      const node = st.marker.getElement();
-      const lnode = st.label.getElement();
-      if (node) node.style.opacity = "1";
-      if (lnode) lnode.style.opacity = "1";
+  function closeOverlays(){
+    const open = [elPaletteModal, elHelpModal, elDebriefModal].filter(m => !m.hidden);
+    for (const m of open) m.hidden = true;
+    return open.length > 0;
+  }
+
+  function onKeyDown(e){
+    if (e.defaultPrevented) return;
+    if (e.key === "Escape"){
+      // closes an overlay, else hands focus back to the shortcuts
+      if (!closeOverlays()) document.activeElement?.blur();
+      return;
     }
+    const chord = keyChord(e);
+    const cmd = COMMANDS.find(c => c.keys.includes(chord));
+    if (!cmd) return;
+    // plain keys stay with fields being typed into (and selects, for
+    // type-ahead); Ctrl+K works everywhere. A focused button, toggle or
+    // slider keeps its own Space / arrows / Tab but not the letter keys.
+    const ctrl = chord.startsWith("Ctrl+");
+    if (isTextEntry(e.target) && !ctrl) return;
+    if (isControl(e.target) && chord.length > 1 && !ctrl) return;
+    if (!elPaletteModal.hidden || (!elHelpModal.hidden && cmd.run !== openPalette)) return;
+    e.preventDefault();
+    cmd.run();
+  }
 
-    elTimeline.innerHTML = "";
-    elStatLast.textContent = "—";
+  const NON_TEXT_INPUTS = ["button", "checkbox", "radio", "range", "color", "file", "submit", "reset", "image"];
+
+  function isTextEntry(el){
+    if (!el || el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return !!el;
+    return el.tagName === "INPUT" && !NON_TEXT_INPUTS.includes(el.type);
+  }
+
+  function isControl(el){
+    return el?.tagName === "BUTTON" || el?.tagName === "INPUT";
+  }
+
+  function buildHelp(){
+    elHelpBody.innerHTML = "";
+    for (const cmd of COMMANDS){
+      if (!cmd.keys.length) continue;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `<td>${cmd.keys.map(k => `<span class="kbd">${escapeHtml(fmtChord(k))}</span>`).join(" ")}</td>
+        <td>${escapeHtml(cmd.label)}</td>`;
+      elHelpBody.appendChild(tr);
+    }
+  }
+
+  function openPalette(){
+    elHelpModal.hidden = true;
+    elPaletteModal.hidden = false;
+    elPaletteInput.value = "";
+    paletteIdx = 0;
+    renderPalette();
+    elPaletteInput.focus();
+  }
+
+  function paletteMatches(){
+    const q = elPaletteInput.value.trim().toLowerCase();
+    return COMMANDS.filter(c => c.run !== openPalette &&
+      (!q || `${c.label} ${c.keys.join(" ")}`.toLowerCase().includes(q)));
+  }
+
+  function renderPalette(){
+    const matches = paletteMatches();
+    paletteIdx = clamp(paletteIdx, 0, Math.max(0, matches.length - 1));
+    elPaletteList.innerHTML = "";
+    matches.forEach((cmd, i) => {
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = `paletteItem${i === paletteIdx ? " paletteActive" : ""}`;
+      row.setAttribute("role", "option");
+      row.setAttribute("aria-selected", String(i === paletteIdx));
+      row.innerHTML = `<span>${escapeHtml(cmd.label)}</span>
+        <span>${cmd.keys.map(k => `<span class="kbd">${escapeHtml(fmtChord(k))}</span>`).join(" ")}</span>`;
+      row.addEventListener("click", ()=> runPaletteCommand(cmd));
+      elPaletteList.appendChild(row);
+    });
+    elPaletteList.querySelector(".paletteActive")?.scrollIntoView?.({ block: "nearest" });
+  }
+
+  function runPaletteCommand(cmd){
+    elPaletteModal.hidden = true;
+    elPaletteInput.blur();
+    cmd.run();
+  }
+
+  function onPaletteKey(e){
+    if (e.key === "ArrowDown" || e.key === "ArrowUp"){
+      e.preventDefault();
+      paletteIdx += e.key === "ArrowDown" ? 1 : -1;
+      renderPalette();
+    }else if (e.key === "Enter"){
+      e.preventDefault();
+      const cmd = paletteMatches()[paletteIdx];
+      if (cmd) runPaletteCommand(cmd);
+    }
   }
 
   function wireControls(){
     elBtnPlay.addEventListener("click", ()=> setRunning(true));
     elBtnPause.addEventListener("click", ()=> setRunning(false));
     elBtnRestart.addEventListener("click", ()=> { restart(); setRunning(true); });
+    elBtnStepBack.addEventListener("click", ()=> stepFrame(-1));
+    elBtnStepFwd.addEventListener("click", ()=> stepFrame(1));
+    elBtnReverse.addEventListener("click", ()=> setSpeed(-speed));
 
     elSpeed.addEventListener("input", ()=>{
-      speed = Number(elSpeed.value || 10);
-      elSpeedLabel.textContent = `${speed}x`;
+      // slider sets magnitude; REV keeps the direction
+      setSpeed(Number(elSpeed.value || 10) * (speed < 0 ? -1 : 1));
     });
 
-    
-    if (elFollow){
-      elFollow.addEventListener("change", ()=>{
-        __followJustEnabled = !!elFollow.checked;
-        if (!elFollow.checked) __followZoomTarget = null;
+    elScrub.addEventListener("pointerdown", ()=> { scrubbing = true; });
+    window.addEventListener("pointerup", ()=> { scrubbing = false; });
+    elScrub.addEventListener("input", ()=> seek(elScrub.value));
+
+    elRadarRange.addEventListener("change", ()=>{
+      radarRange = Number(elRadarRange.value) || radarRange;
+      redrawRadar();
+    });
+    elRadarUnits.addEventListener("change", ()=>{
+      radarUnits = elRadarUnits.value;
+      syncRadarControls();
+      redrawRadar();
+    });
+
+    // Radar scope: click a blip to select, hover for details, wheel to zoom, double-click to reset
+    radar.addEventListener("click", (e)=>{
+      const { x, y } = radarPointer(e);
+      const hit = radarHitTest(x, y);
+      if (hit) selectAircraft(hit.id);
+    });
+    radar.addEventListener("mousemove", (e)=>{
+      const { x, y } = radarPointer(e);
+      showRadarTip(radarHitTest(x, y), x, y);
+    });
+    radar.addEventListener("mouseleave", ()=> showRadarTip(null));
+    radar.addEventListener("wheel", (e)=>{
+      e.preventDefault();
+      const { x, y } = radarPointer(e);
+      zoomRadar(x, y, Math.exp(-e.deltaY * 0.0015));
+    }, { passive: false });
+    radar.addEventListener("dblclick", ()=>{
+      radarView.zoom = 1;
+      radarView.ox = radarView.oy = 0;
+      redrawRadar();
+    });
+
+    elInterpMode.addEventListener("change", ()=>{
+      interpOverride = elInterpMode.value;
+      refreshRoutes();
+    });
+
+    elBtnOpen.addEventListener("click", ()=> elMissionFile.click());
+
+    elBtnEdit.addEventListener("click", ()=> setEditing(!editing));
+    elEdAircraft.addEventListener("change", ()=> { editPointIdx = null; refreshEditor(); });
+    elEdCallsign.addEventListener("change", updateEditAircraft);
+    elEdSide.addEventListener("change", updateEditAircraft);
+    elEdPointT.addEventListener("change", updateEditPoint);
+    elEdPointAlt.addEventListener("change", updateEditPoint);
+    elEdPointDelete.addEventListener("click", deleteEditPoint);
+    elEdEvAdd.addEventListener("click", addFormEvent);
+    elEdSave.addEventListener("click", saveEditedMission);
+
+    elBtnRender.addEventListener("click", ()=>{
+      setRenderStatus("");
+      elRenderModal.hidden = false;
+    });
+    elBtnRenderClose.addEventListener("click", ()=>{
+      renderAbort = true;
+      elRenderModal.hidden = true;
+    });
+    elRenderFormat.addEventListener("change", ()=>{
+      // GIFs get heavy fast; nudge the frame rate down
+      elRenderFps.value = elRenderFormat.value === "gif" ? "12" : "25";
+    });
+    elBtnRenderGo.addEventListener("click", ()=>{
+      const [width, height] = elRenderSize.value.split("x").map(Number);
+      renderReplay({
+        width, height,
+        fps: clamp(Number(elRenderFps.value) || 25, 1, 60),
+        format: elRenderFormat.value,
+        caption: !!elRenderCaption.checked
+      }).catch(err => {
+        console.error(err);
+        setRenderStatus(`Render failed: ${err.message}`);
       });
+    });
+    elBtnExport.addEventListener("click", ()=> exportReplay(elExportFormat.value, elExportRate.value));
+    elMissionFile.addEventListener("change", ()=>{
+      if (elMissionFile.files?.length) loadFiles(elMissionFile.files);
+      elMissionFile.value = "";
+    });
+
+    // Drag a mission JSON onto the map panel
+    elMapPanel.addEventListener("dragover", (e)=>{
+      e.preventDefault();
+      elMapPanel.classList.add("dropTarget");
+    });
+    elMapPanel.addEventListener("dragleave", (e)=>{
+      if (!elMapPanel.contains(e.relatedTarget)) elMapPanel.classList.remove("dropTarget");
+    });
+    elMapPanel.addEventListener("drop", (e)=>{
+      e.preventDefault();
+      elMapPanel.classList.remove("dropTarget");
+      if (e.dataTransfer?.files?.length) loadFiles(e.dataTransfer.files);
+    });
+
+    
+    elCameraMode.addEventListener("change", ()=> setCameraMode(elCameraMode.value));
+
+    elLogAircraft.addEventListener("change", ()=>{
+      logFilter.aircraft = elLogAircraft.value;
+      applyLogFilter();
+    });
+    elLogSearch.addEventListener("input", ()=>{
+      logFilter.query = elLogSearch.value.trim().toLowerCase();
+      applyLogFilter();
+    });
+    elTimeline.addEventListener("click", (e)=>{
+      const line = e.target.closest(".logLine");
+      if (line) seekToLogLine(line);
+    });
+    elTimeline.addEventListener("keydown", (e)=>{
+      const line = e.target.closest(".logLine");
+      if (line && (e.key === "Enter" || e.key === " ")){
+        e.preventDefault();
+        seekToLogLine(line);
+      }
+    });
+
+    elBtnCompare.addEventListener("click", ()=>{
+      if (compareState) clearCompare();
+      else elCompareFile.click();
+    });
+    elCompareFile.addEventListener("change", ()=>{
+      if (elCompareFile.files?.length && MISSION) loadCompareFile(elCompareFile.files[0]);
+      elCompareFile.value = "";
+    });
+
+    elLegend.addEventListener("click", onLegendClick);
+    elAudio.disabled = !audioSupported();
+    if (elAudio.disabled) elAudio.parentElement.title = "Web Audio isn't available in this browser";
+    elAudio.addEventListener("change", ()=> setAudio(elAudio.checked));
+    elAudioMix.addEventListener("input", onAudioLevel);
+
+    elBtnDebrief.addEventListener("click", openDebrief);
+    elBtnDebriefClose.addEventListener("click", ()=> { elDebriefModal.hidden = true; });
+    elBtnDebriefHtml.addEventListener("click", ()=>{
+      if (debrief) downloadText(`${missionSlug(MISSION)}-debrief.html`, debriefHtml(debrief), "text/html");
+    });
+    elBtnDebriefMd.addEventListener("click", ()=>{
+      if (debrief) downloadText(`${missionSlug(MISSION)}-debrief.md`, debriefMarkdown(debrief), "text/markdown");
+    });
+
+    elBtnLink.addEventListener("click", copyLink);
+    // a pasted link in the same tab: same mission just moves, another reloads
+    window.addEventListener("hashchange", ()=>{
+      const st = readLinkState();
+      if (st.m && st.m !== missionSource) location.reload();
+      else applyLinkState(st);
+    });
+
+    buildHelp();
+    window.addEventListener("keydown", onKeyDown);
+    elBtnHelp.addEventListener("click", ()=> { elHelpModal.hidden = false; });
+    elBtnHelpClose.addEventListener("click", ()=> { elHelpModal.hidden = true; });
+    elPaletteInput.addEventListener("input", ()=> { paletteIdx = 0; renderPalette(); });
+    elPaletteInput.addEventListener("keydown", onPaletteKey);
+    // click outside the card dismisses
+    for (const m of [elHelpModal, elPaletteModal, elDebriefModal]){
+      m.addEventListener("click", (e)=> { if (e.target === m) m.hidden = true; });
     }
 
+    elTitleCard.addEventListener("click", hideTitleCard);
+    elBtnSummaryReplay.addEventListener("click", replayCampaign);
+    elBtnSummaryClose.addEventListener("click", ()=> { elSummaryModal.hidden = true; });
+
+elCones.addEventListener("change", ()=> { if (MISSION) updateCones(); });
+
 elCRT.addEventListener("change", ()=>{
       document.body.classList.toggle("crt", !!elCRT.checked);
     });
     document.body.classList.toggle("crt", !!elCRT.checked);
   }
 
+  // Caches the app shell, libraries and visited tiles for rooms without a
+  // network (service workers need http(s), not file://)
+  function registerOffline(){
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register("sw.js").catch(err => console.warn("Offline cache unavailable.", err));
+  }
+
   async function boot(){
+    registerOffline();
+    if (!window.L){
+      // nothing cached yet and no network: the console can't draw without Leaflet
+      elHudStatus.textContent = "OFFLINE";
+      pushLog({type:"loss", text:"Leaflet could not be loaded. Open the console once online so it can be cached."}, 0);
+      return;
+    }
+
     window.__MISSION_FALLBACK__ = {
       meta: { title: "Fallback mission" },
       duration_s: 120,
@@ -748,27 +5367,38 @@ elCRT.addEventListener("change", ()=>{
       ]
     };
 
-    const mission = await loadMission();
-
-    buildDeathTimes();
-
-    const title = mission?.meta?.title || "MISSION";
-    const sector = mission?.meta?.sector || "SECTOR";
-    pushLog({type:"note", text:`${title} • ${sector} • Replay initialized.`}, 0);
-
-    initMap(mission);
     wireControls();
 
     resizeRadarCanvas();
     window.addEventListener("resize", resizeRadarCanvas);
 
+    setSpeed(Number(elSpeed.value || 10));
 
-    speed = Number(elSpeed.value || 10);
-    elSpeedLabel.textContent = `${speed}x`;
+    // Loop runs even without a mission so OPEN / drag-and-drop can recover
+    requestAnimationFrame((ts)=>{ lastTs = ts; tick(ts); });
+
+    let mission;
+    try{
+      mission = await loadMission();
+    }catch(err){
+      renderValidation([{ level: "error", path: "$", msg: `could not load ${missionSource}: ${err.message}` }]);
+      throw err;
+    }
+    if (isCampaign(mission)) await openCampaign(mission, missionSource);
+    else openMission(mission, missionSource);
 
-    selectAircraft("ELIZABETH");
+    // ?compare=<url> overlays a second version on the loaded mission
+    const compareUrl = new URLSearchParams(location.search).get("compare");
+    if (compareUrl && MISSION){
+      try{
+        openCompare(await fetchMission(compareUrl), compareUrl);
+      }catch(err){
+        renderValidation([{ level: "error", path: "B:$", msg: `could not load ${compareUrl}: ${err.message}` }]);
+      }
+    }
 
-    requestAnimationFrame((ts)=>{ lastTs = ts; tick(ts); });
+    // #t=…&sel=… from a shared link puts the replay back at that moment
+    if (!campaign && location.hash.length > 1) await applyLinkState(readLinkState());
   }
 
   boot().catch(err=>{
@@ -0,0 +1,91 @@
+/* ============================================================
+   sw.js — offline cache for the replay console
+   - Shell files: network first, so edits show up whenever online
+   - Libraries: cache first (they are version-pinned)
+   - Map tiles: cache first, filled as tiles are viewed, capped at TILE_LIMIT
+   ============================================================ */
+const SHELL_CACHE = "pp-shell-v1";
+const TILE_CACHE = "pp-tiles-v1";
+const TILE_LIMIT = 4000;
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./app.js",
+  "./mission.json"
+];
+const LIBS = [
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js"
+];
+
+self.addEventListener("install", (e)=>{
+  e.waitUntil((async ()=>{
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL);
+    // a CDN hiccup shouldn't block the shell from installing
+    await Promise.all(LIBS.map(url => cache.add(url).catch(err => console.warn("Not cached:", url, err))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (e)=>{
+  e.waitUntil((async ()=>{
+    const keep = [SHELL_CACHE, TILE_CACHE];
+    for (const key of await caches.keys()){
+      if (!keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (e)=>{
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (LIBS.includes(url.href)) e.respondWith(cacheFirst(req, SHELL_CACHE));
+  else if (req.destination === "image" && /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname)) e.respondWith(tile(req));
+  else if (url.origin === location.origin) e.respondWith(networkFirst(req));
+});
+
+async function cacheFirst(req, name){
+  const hit = await caches.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) (await caches.open(name)).put(req, res.clone());
+  return res;
+}
+
+async function networkFirst(req){
+  try{
+    const res = await fetch(req);
+    if (res.ok) (await caches.open(SHELL_CACHE)).put(req, res.clone());
+    return res;
+  }catch(err){
+    // the page itself is opened with ?mission= / ?tiles= queries
+    const hit = await caches.match(req, { ignoreSearch: req.mode === "navigate" });
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function tile(req){
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok){
+    await cache.put(req, res.clone());
+    trimTiles(cache);
+  }
+  return res;
+}
+
+// oldest first: cache.keys() keeps insertion order
+async function trimTiles(cache){
+  const keys = await cache.keys();
+  for (const k of keys.slice(0, Math.max(0, keys.length - TILE_LIMIT))) await cache.delete(k);
+}